@@ -6,12 +6,22 @@
  * - Coordinates data flow between modules
  * - Handles high-level user interactions
  * - Manages application state and lifecycle
+ * - Undo/redo history of settings and logo processing steps
  */
 
 import { LogoProcessor } from './logoProcessor.js';
 import { BannerGenerator } from './bannerGenerator.js';
+import { SVGBannerRenderer } from './svgBannerRenderer.js';
 import { UIController } from './uiController.js';
-import { $, showMessage, downloadFile } from './utils.js';
+import { IconExporter } from './iconExporter.js';
+import { PrintExporter } from './printExporter.js';
+import { BatchExporter, BATCH_SIZES } from './batchExporter.js';
+import { BulkGenerator, parseCSV, rowFileNames } from './csvBulk.js';
+import { History } from './history.js';
+import { FontManager } from './fontManager.js';
+import { createLayer, defaultLayers, duplicateLayer, moveLayer, addAsset } from './layers.js';
+import { $, $$, showMessage, downloadFile, blobToDataURL } from './utils.js';
+import { contrastRatio } from './colorUtils.js';
 
 class App {
     constructor() {
@@ -24,28 +34,116 @@ class App {
             bg: '#ffffff',
             grad: '#2563eb',
 
-            text: '',
+            text: '',                  // Headline (new lines start a new line)
             tpos: 'bottom',
             tcol: '#ffffff',           // White text on gradients
             fs: 36,                    // Larger, more readable
+            fontFamily: 'Arial',       // Built-in or uploaded font family
+            fontWeight: 700,           // Headline weight (subtitle is regular)
+            fontItalic: false,
+            textAlign: 'center',       // 'left', 'center' or 'right'
+            lineHeight: 1.2,           // Multiple of the font size
+            textMaxWidth: 90,          // Text box width (% of banner width) - lines wrap here
+            textAutoFit: false,        // Shrink text until it fits the text box
+            textBoxHeight: 30,         // Text box height for auto-fit (% of banner height)
+            subtitle: '',              // Second line below the headline
+            subFs: 20,
+            subCol: '#ffffff',
+
+            textX: null,               // Free text position dragged on the preview (% of banner),
+            textY: null,               // null = use tpos
 
             logoPos: 'center',
             logoSizePct: 25,           // Smaller default - less overwhelming
+            logoX: null,               // Free logo center dragged on the preview (% of banner),
+            logoY: null,               // null = use logoPos
+
+            // Layer stack, bottom to top - main layers use the settings above
+            layers: defaultLayers(),
+
+            // Logo effects on the banner
+            logoOpacity: 100,          // Percent
+            logoRotation: 0,           // Degrees, clockwise
+            logoFlipH: false,
+            logoFlipV: false,
+            logoBlend: 'source-over',  // Canvas composite operation ('source-over' = normal)
+            shadowOn: false,           // Drop shadow
+            shadowColor: '#000000',
+            shadowX: 4,                // Shadow offset (px)
+            shadowY: 4,
+            shadowBlur: 8,
+            outlineWidth: 0,           // Outline stroke width (px, 0 = off)
+            outlineColor: '#ffffff',
+            glowSize: 0,               // Outer glow radius (px, 0 = off)
+            glowColor: '#ffffff',
+
+            // Step 3 image export
+            exportFormat: 'png',       // 'png', 'jpeg' or 'webp'
+            exportQuality: 90,         // JPEG/WebP quality (1-100)
+            exportFitSize: false,      // Search for the best quality under exportMaxKB instead
+            exportMaxKB: 150,          // File size limit for ad networks
+
+            // Step 3 print PDF (height follows the banner's aspect ratio)
+            pdfWidth: 300,             // Trim width in pdfUnit
+            pdfUnit: 'mm',             // 'mm' or 'in' - also the bleed's unit
+            pdfDpi: 300,               // Resolution of the rasterized layers
+            pdfBleed: 3,               // Background extended past the trim edge
+            pdfCropMarks: true,
+
+            // Step 3 batch export: ids from BATCH_SIZES
+            batchSizes: BATCH_SIZES.map(size => size.id),
+            csvNameColumn: null,       // CSV column the row banners are named by
 
-            // Simplified processing - FIXED THRESHOLD at 0.7 for better logo results
+            // Logo processing - manual threshold at 0.7 works well for most logos
             mode: 'create',
-            threshold: 0.7,            // Fixed at 0.7 (Sharp) - works better for most logos
+            threshold: 0.7,            // Manual cutoff (0.7 = Sharp)
+            thresholdMode: 'fixed',    // 'fixed', 'otsu' (Auto) or 'adaptive'
+            invertBitmap: false,       // Light-on-dark logos
+            maxLogoSize: 800,          // Longest logo side after upload (800-4000px)
+            bgTolerance: 15,           // Background removal color tolerance (%)
+            autoRemoveBg: true,        // Remove background automatically on upload
+            autoTrim: true,            // Trim margins to the content bounds on upload
+            trimPadding: 2,            // Margin kept around the content when trimming (%)
+            paletteSize: 6,            // Number of brand palette colors (5-8)
+            smoothness: 50,            // Curve smoothness (0 = straight segments only)
+            detail: 70,                // Outline detail (100 = pixel-exact outline)
+            iconBg: '#ffffff',         // Tile color for apple-touch / Android icons
+            speckSize: 20,             // Bitmap cleanup: ink specks below this are removed (px)
+            holeSize: 20,              // Bitmap cleanup: pinholes below this are filled (px)
+            morphRadius: 1,            // Bitmap cleanup: grow/shrink radius (px)
             preserveColor: true,
-            logoColor: '#ffffff'       // White logo by default
+            logoColor: '#ffffff',      // White logo by default
+            fillType: 'solid',         // 'solid', 'linear', 'radial' or 'twoTone'
+            fillStart: '#2563eb',      // Gradient colors
+            fillMid: '#7c3aed',
+            fillMidStop: false,        // Use the middle gradient color
+            fillEnd: '#db2777',
+            fillAngle: 90,             // Gradient direction (CSS degrees, 90 = left to right)
+            colorMode: 'single',       // 'single' fill color or 'multi' color layers
+            colorCount: 3              // Number of colors in multi-color mode
         };
 
         // Initialize all modules
         this.logoProcessor = new LogoProcessor();
         this.bannerGenerator = new BannerGenerator();
+        this.svgBannerRenderer = new SVGBannerRenderer(this.bannerGenerator);
+        this.iconExporter = new IconExporter();
+        this.printExporter = new PrintExporter();
+        this.batchExporter = new BatchExporter();
+        this.bulkGenerator = new BulkGenerator();
+        this.fontManager = new FontManager();
         this.ui = new UIController(this.config);
+        this.history = new History();
         
         // Application state
         this.uploadedBannerDataURL = null; // Stores uploaded banner background
+        this.logoFile = null;              // Last uploaded logo, re-loaded when resolution changes
+        this.imageLayerTarget = null;      // Image layer whose picture is being replaced
+        this.exportFile = null;            // Banner encoded with the Step 3 settings, ready to download
+        this.exportRequest = 0;            // Latest encoding, so results for old settings are dropped
+        this.csv = null;                   // Imported CSV { columns, rows }
+        this.csvResults = null;            // One rendered banner per CSV row
+        this.csvDesign = null;             // Design the rows were rendered from (see csvDesignKey)
 
         // Start the application
         this.init();
@@ -58,6 +156,8 @@ class App {
     init() {
         this.ui.initialize();
         this.bindMainEvents();
+        this.bindHistory();
+        this.recordHistory(); // Starting point for undo
         
         // Store app instance globally for preset functions
         window.logoApp = this;
@@ -71,11 +171,83 @@ class App {
         // File upload handlers
         this.setupLogoUpload();
         this.setupBannerUpload();
+        this.setupFontUpload();
+
+        // Background processing: progress in the status chip, Cancel while busy
+        this.logoProcessor.worker.onProgress = (message, fraction) => {
+            this.ui.updateStatus('#bitmapStatus', `${message}... ${Math.round(fraction * 100)}%`, true);
+        };
+        this.logoProcessor.worker.onBusyChange = (busy) => {
+            $('#btnCancelProcessing').style.display = busy ? 'inline-block' : 'none';
+        };
+        $('#btnCancelProcessing').addEventListener('click', () => this.logoProcessor.cancel());
+
+        // Working resolution applies to the current logo by loading it again
+        $('#maxLogoSize').addEventListener('change', e => {
+            this.config.maxLogoSize = Math.min(4000, Math.max(200, +e.target.value || 800));
+            if (this.logoFile) this.handleLogoFile(this.logoFile);
+        });
 
         // Logo processing action buttons
+        $('#btnRemoveBg').addEventListener('click', () => this.removeBackground());
+        $('#btnRestoreBg').addEventListener('click', () => this.restoreBackground());
+        $('#btnTrim').addEventListener('click', () => this.cropLogo(null));
+        $('#btnCrop').addEventListener('click', () => this.ui.setCropMode(!this.ui.cropMode, this.logoProcessor));
+        $('#btnApplyCrop').addEventListener('click', () => this.cropLogo(this.ui.cropSelection));
+        $('#btnResetCrop').addEventListener('click', () => this.resetCrop());
         $('#btnConvertBitmap').addEventListener('click', () => this.convertToBitmap());
         $('#btnVectorize').addEventListener('click', () => this.vectorizeLogo());
+        $$('[data-cleanup]').forEach(btn => {
+            btn.addEventListener('click', () => this.cleanupBitmap(btn.dataset.cleanup));
+        });
         $('#btnDownloadSVGLogo').addEventListener('click', () => this.downloadSVG());
+        $('#btnIconPack').addEventListener('click', () => this.downloadIconPack());
+        $('#btnVariants').addEventListener('click', () => this.generateVariants());
+        $('#btnFidelity').addEventListener('click', () => this.compareFidelity());
+        $('#btnDownloadVariants').addEventListener('click', () => this.downloadVariants());
+
+        // Gradient fill changes recolor the traced vector right away
+        ['#fillType', '#fillStart', '#fillMid', '#fillMidStop', '#fillEnd', '#fillAngle'].forEach(sel => {
+            $(sel).addEventListener('input', () => this.refreshLogoFill());
+        });
+        $('#btnFillFromBanner').addEventListener('click', () => this.matchBannerFill());
+
+        // Multi-color layer controls (rendered dynamically, so use delegation)
+        $('#layerColors').addEventListener('input', e => this.handleLayerChange(e));
+        $('#layerColors').addEventListener('change', e => this.handleLayerChange(e));
+
+        // Brand palette: swatch clicks apply to the chosen target
+        $('#paletteSwatches').addEventListener('click', e => {
+            const swatch = e.target.closest('[data-color]');
+            if (swatch) this.applyPaletteColor(swatch.dataset.color, $('#paletteTarget').value);
+        });
+        $('#paletteSize').addEventListener('change', e => {
+            this.config.paletteSize = Math.min(8, Math.max(5, +e.target.value || 6));
+            e.target.value = this.config.paletteSize;
+            this.updatePalette()
+                .then(() => this.recordHistory())
+                .catch(error => console.warn('Palette extraction failed:', error));
+        });
+
+        // Switching color mode invalidates the current bitmap
+        $$('input[name="colorMode"]').forEach(r => {
+            r.addEventListener('change', () => this.resetVectorStage());
+        });
+        
+        // Banner layer stack (rows are rendered dynamically, so use delegation)
+        $$('[data-add-layer]').forEach(btn => {
+            btn.addEventListener('click', () => this.addLayer(btn.dataset.addLayer));
+        });
+        $('#layerStack').addEventListener('input', e => this.handleLayerProp(e));
+        $('#layerStack').addEventListener('change', e => this.handleLayerProp(e));
+        $('#layerStack').addEventListener('click', e => this.handleLayerAction(e));
+        $('#layerImageInput').addEventListener('change', e => {
+            if (e.target.files[0]) this.loadLayerImage(e.target.files[0]);
+            e.target.value = ''; // Allow picking the same file again
+        });
+
+        // Layers moved or resized on the banner preview
+        this.ui.onStageEdit = (edit) => this.applyStageEdit(edit);
         
         // Banner generation and navigation
         $('#btnPreview').addEventListener('click', () => this.generatePreview());
@@ -85,14 +257,180 @@ class App {
             if (dataURL) {
                 this.ui.showFinalBanner(dataURL);
                 this.ui.setStep(3);
+                this.prepareExport();
             }
         });
+        $$('.step').forEach(el => {
+            // Step tabs switch first (UIController), then the file is encoded to show its size
+            el.addEventListener('click', () => {
+                if (this.ui.step === 3 && !this.exportFile) this.prepareExport();
+            });
+        });
+        $('#exportOptions').addEventListener('change', () => this.prepareExport());
         
         // Download and utility buttons
-        $('#dlPNG').addEventListener('click', () => this.downloadPNG());
+        $('#dlImage').addEventListener('click', () => this.downloadImage());
+        $('#dlBannerSVG').addEventListener('click', () => this.downloadBannerSVG());
+        $('#dlPDF').addEventListener('click', () => this.downloadPDF());
+        $('#dlBatch').addEventListener('click', () => this.downloadBatch());
+        this.batchExporter.onProgress = (size, index, total) => {
+            this.ui.updateStatus('#exportStatus', `Rendering ${size.label} (${index + 1}/${total})...`, true);
+        };
+
+        // CSV bulk banners
+        $('#btnCSV').addEventListener('click', () => $('#csvInput').click());
+        $('#csvInput').addEventListener('change', async e => {
+            if (e.target.files[0]) await this.handleCSVFile(e.target.files[0]);
+            e.target.value = ''; // Allow picking the same file again
+        });
+        $('#csvRender').addEventListener('click', () => this.renderCSVRows());
+        $('#dlCSV').addEventListener('click', () => this.downloadCSVRows());
+        $('#csvNameColumn').addEventListener('change', () => {
+            if (this.csvResults) this.ui.renderCSVRows(this.csvResults, rowFileNames(this.csv.rows, this.config.csvNameColumn));
+        });
+        this.bulkGenerator.onProgress = (index, total) => {
+            this.ui.updateStatus('#exportStatus', `Rendering row ${index + 1}/${total}...`, true);
+        };
+
         $('#restart').addEventListener('click', () => location.reload());
     }
 
+    /**
+     * Bind undo/redo buttons and keyboard shortcuts, and record edits as they happen
+     * Control edits and clicks are recorded right away; steps that run in the worker
+     * record themselves once they finish
+     */
+    bindHistory() {
+        $('#btnUndo').addEventListener('click', () => this.undo());
+        $('#btnRedo').addEventListener('click', () => this.redo());
+
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac), Ctrl+Y also redoes
+        document.addEventListener('keydown', e => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            const key = e.key.toLowerCase();
+            if (key !== 'z' && key !== 'y') return;
+
+            // Text fields keep their native undo
+            const el = e.target;
+            if (el.isContentEditable || el.tagName === 'TEXTAREA' ||
+                (el.tagName === 'INPUT' && /^(text|number|search|email|url)$/.test(el.type))) return;
+
+            e.preventDefault();
+            if (key === 'y' || e.shiftKey) this.redo();
+            else this.undo();
+        });
+
+        // Document listeners run after the controls' own handlers have updated the config
+        document.addEventListener('change', () => this.recordHistory());
+        document.addEventListener('click', () => this.recordHistory());
+    }
+
+    /**
+     * Capture the current state
+     * @returns {Object} - Config copy, logo processing stages and banner upload
+     */
+    createSnapshot() {
+        return {
+            config: structuredClone(this.config),
+            logo: this.logoProcessor.getState(),
+            banner: this.uploadedBannerDataURL
+        };
+    }
+
+    /**
+     * Check whether two snapshots describe the same state
+     * Logo stages are compared by reference - every processing step creates new data
+     * @param {Object} a - Snapshot
+     * @param {Object} b - Snapshot
+     * @returns {boolean}
+     */
+    sameSnapshot(a, b) {
+        if (a.banner !== b.banner || JSON.stringify(a.config) !== JSON.stringify(b.config)) return false;
+
+        return Object.keys(a.logo).every(key => {
+            if (key !== 'colorLayers') return a.logo[key] === b.logo[key];
+
+            const layersA = a.logo.colorLayers, layersB = b.logo.colorLayers;
+            if (!layersA || !layersB) return layersA === layersB;
+            return layersA.length === layersB.length && layersA.every((layer, i) =>
+                ['color', 'visible', 'pathData', 'mask'].every(prop => layer[prop] === layersB[i][prop]));
+        });
+    }
+
+    /**
+     * Add the current state to the history if it changed
+     */
+    recordHistory() {
+        // A step is still running - it records its result when done
+        if (this.logoProcessor.worker.busy) return;
+
+        const snapshot = this.createSnapshot();
+        const current = this.history.current;
+        if (current && this.sameSnapshot(current, snapshot)) return;
+
+        this.history.push(snapshot);
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Go back one step
+     */
+    undo() {
+        if (this.logoProcessor.worker.busy) return;
+        const snapshot = this.history.undo();
+        if (snapshot) this.restoreSnapshot(snapshot);
+    }
+
+    /**
+     * Re-apply an undone step
+     */
+    redo() {
+        if (this.logoProcessor.worker.busy) return;
+        const snapshot = this.history.redo();
+        if (snapshot) this.restoreSnapshot(snapshot);
+    }
+
+    /**
+     * Put the app back into a recorded state and refresh every view
+     * @param {Object} snapshot - Snapshot from the history
+     */
+    restoreSnapshot(snapshot) {
+        const processor = this.logoProcessor;
+
+        // Config is copied so later edits don't change the recorded snapshot
+        Object.assign(this.config, structuredClone(snapshot.config));
+        processor.setState(snapshot.logo);
+        this.uploadedBannerDataURL = snapshot.banner;
+
+        // Controls
+        this.ui.updateInputsFromConfig();
+        this.updateColor(this.config.logoColor);
+
+        // Logo stages
+        $('#logoTools').style.display = processor.processedDataURL ? 'block' : 'none';
+        if (!processor.processedDataURL) $('#logoResult').innerHTML = '';
+        this.ui.renderLayerControls(processor);
+        this.ui.setCropMode(false, processor);
+        this.ui.renderPalette(processor.palette);
+        this.ui.renderFidelity(processor.fidelity);
+        this.ui.renderVariants(processor.variants);
+        this.ui.showAppliedThreshold(processor.appliedThreshold);
+        $('#btnVectorize').disabled = !processor.bitmapDataURL;
+
+        // Banner preview follows the restored settings
+        if (this.ui.step > 1 && processor.vectorSVGContent) this.generatePreview();
+
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Enable undo/redo buttons when there is somewhere to go
+     */
+    updateHistoryButtons() {
+        $('#btnUndo').disabled = !this.history.canUndo;
+        $('#btnRedo').disabled = !this.history.canRedo;
+    }
+
     /**
      * Set up logo file upload with drag & drop support
      * Handles both click-to-browse and drag-and-drop functionality
@@ -141,6 +479,42 @@ class App {
         });
     }
 
+    /**
+     * Set up brand font upload (one or more font files)
+     */
+    setupFontUpload() {
+        const fontInput = $('#fontInput');
+
+        $('#btnFontUpload').addEventListener('click', () => fontInput.click());
+        fontInput.addEventListener('change', async e => {
+            for (const file of e.target.files) await this.handleFontFile(file);
+            fontInput.value = ''; // Allow picking the same file again
+        });
+    }
+
+    /**
+     * Load an uploaded font and select it for the banner text
+     * @param {File} file - TTF, OTF, WOFF or WOFF2 file
+     */
+    async handleFontFile(file) {
+        try {
+            const { family, weight, style } = await this.fontManager.loadFontFile(file);
+
+            this.ui.addFontOption(family);
+            this.config.fontFamily = family;
+            this.config.fontWeight = weight;
+            this.config.fontItalic = style === 'italic';
+            this.ui.updateTextLayoutInputs();
+            showMessage('#fontInfo', `✅ Font loaded: ${family} ${weight}${style === 'italic' ? ' italic' : ''}`, true);
+            this.recordHistory();
+
+            // Show the new font right away if there is a preview
+            if (this.bannerGenerator.canvas) await this.generatePreview();
+        } catch (error) {
+            showMessage('#fontInfo', `❌ ${error.message}`, false);
+        }
+    }
+
     /**
      * Process uploaded logo file
      * Coordinates between logo processor and UI controller
@@ -149,26 +523,51 @@ class App {
     async handleLogoFile(file) {
         try {
             // Load and process logo through LogoProcessor
-            const dataURL = await this.logoProcessor.loadLogo(file);
+            await this.logoProcessor.loadLogo(file, this.config.maxLogoSize);
+            this.logoFile = file;
+
+            const isSVG = this.logoProcessor.sourceType === 'svg';
+
+            // Strip a plain background right away so the logo arrives transparent
+            if (this.config.autoRemoveBg && !isSVG) {
+                await this.logoProcessor.removeBackground(this.config.bgTolerance);
+            }
+
+            // Cut empty margins so the logo fills its box on the banner
+            if (this.config.autoTrim) {
+                await this.logoProcessor.cropLogo(null, this.config.trimPadding);
+            }
+            this.ui.cropMode = false;
             
-            // Extract dominant color for automatic color selection
+            // Extract brand palette - the most common color becomes the logo color
             try {
-                const dominantColor = await this.logoProcessor.extractDominantColor(dataURL);
-                
-                // Update configuration and UI with extracted color
-                this.config.logoColor = dominantColor;
-                this.updateColor(dominantColor);
+                const palette = await this.updatePalette();
+                if (palette.length) this.updateColor(palette[0].hex);
             } catch (error) {
                 console.warn('Color extraction failed, using default');
             }
 
             // Update UI to show logo tools and preview
             $('#logoTools').style.display = 'block';
-            this.ui.renderLogoPreview(this.logoProcessor);
-            this.ui.updateStatus('#bitmapStatus', 'Ready for bitmap conversion');
+            this.ui.renderLayerControls(this.logoProcessor);
+            this.ui.setCropMode(false, this.logoProcessor);
+            this.ui.updateStatus('#bitmapStatus', isSVG
+                ? '✅ SVG imported - vector ready (convert to bitmap only to re-trace)'
+                : 'Ready for bitmap conversion');
             $('#btnVectorize').disabled = true; // Require bitmap conversion first
+            this.recordHistory();
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                // Keep whatever logo is loaded usable
+                if (this.logoProcessor.originalDataURL) {
+                    $('#logoTools').style.display = 'block';
+                    this.ui.renderLogoPreview(this.logoProcessor);
+                }
+                this.ui.updateStatus('#bitmapStatus', '⏹️ Cancelled');
+                return;
+            }
+
             // Show user-friendly error message
             showMessage('#logoResult', `❌ ${error.message}`, false);
         }
@@ -180,8 +579,8 @@ class App {
      */
     handleBannerFile(file) {
         // Validate file type
-        if (!/^image\/(png|jpe?g)$/i.test(file.type)) {
-            showMessage('#bannerUploadInfo', '❌ Please upload PNG/JPG.', false);
+        if (!/^image\/(png|jpe?g|webp|gif)$/i.test(file.type)) {
+            showMessage('#bannerUploadInfo', '❌ Please upload PNG, JPG, WebP or GIF.', false);
             return;
         }
 
@@ -201,15 +600,107 @@ class App {
                 
                 // Show success message
                 showMessage('#bannerUploadInfo', `✅ Banner loaded: ${img.width}×${img.height}px`, true);
+                this.recordHistory();
             };
             img.src = fr.result;
         };
         fr.readAsDataURL(file);
     }
 
+    /**
+     * Remove the logo background using the current tolerance
+     * Bitmap and vector stages are discarded and must be re-created
+     */
+    async removeBackground() {
+        if (!this.logoProcessor.originalDataURL) return;
+
+        this.ui.updateStatus('#bitmapStatus', 'Removing background...', true);
+
+        let removed;
+        try {
+            removed = await this.logoProcessor.removeBackground(this.config.bgTolerance);
+        } catch (error) {
+            if (error.name === 'AbortError') return this.ui.updateStatus('#bitmapStatus', '⏹️ Cancelled');
+            console.error('Background removal failed:', error);
+            return this.ui.updateStatus('#bitmapStatus', '❌ Background removal failed');
+        }
+
+        this.resetVectorStage();
+        this.ui.updateStatus('#bitmapStatus', removed
+            ? `✅ Background removed (${removed.toLocaleString()} px)`
+            : 'No background found - try a higher tolerance');
+
+        // The background is gone either way; a palette failure only leaves the old swatches
+        await this.updatePalette().catch(error => console.warn('Palette extraction failed:', error));
+        this.recordHistory();
+    }
+
+    /**
+     * Put the original background back
+     */
+    async restoreBackground() {
+        if (!this.logoProcessor.originalDataURL) return;
+
+        this.logoProcessor.restoreBackground();
+        this.resetVectorStage();
+        await this.updatePalette().catch(error => console.warn('Palette extraction failed:', error));
+        this.recordHistory();
+    }
+
+    /**
+     * Crop the logo to a selected rectangle, or trim it to its content
+     * Bitmap and traced vector stages are discarded and must be re-created
+     * @param {Object|null} rect - { x, y, width, height } in image pixels, or null to auto-trim
+     */
+    async cropLogo(rect) {
+        if (!this.logoProcessor.originalDataURL) return;
+
+        this.ui.updateStatus('#bitmapStatus', rect ? 'Cropping...' : 'Trimming...', true);
+
+        let applied;
+        try {
+            applied = await this.logoProcessor.cropLogo(rect, this.config.trimPadding);
+        } catch (error) {
+            if (error.name === 'AbortError') return this.ui.updateStatus('#bitmapStatus', '⏹️ Cancelled');
+            console.error('Crop failed:', error);
+            return this.ui.updateStatus('#bitmapStatus', '❌ Crop failed');
+        }
+
+        this.ui.renderLayerControls(this.logoProcessor);
+        this.ui.setCropMode(false, this.logoProcessor);
+        $('#btnVectorize').disabled = true;
+        this.ui.updateStatus('#bitmapStatus', applied
+            ? `✅ Cropped to ${applied.width}×${applied.height}px`
+            : 'Nothing to trim');
+
+        // The crop is applied either way; a palette failure only leaves the old swatches
+        await this.updatePalette().catch(error => console.warn('Palette extraction failed:', error));
+        this.recordHistory();
+    }
+
+    /**
+     * Go back to the uncropped upload, removing the background again if enabled
+     */
+    async resetCrop() {
+        if (!this.logoProcessor.uploadDataURL) return;
+
+        this.logoProcessor.resetCrop();
+        this.ui.setCropMode(false, this.logoProcessor);
+
+        if (this.config.autoRemoveBg && this.logoProcessor.sourceType !== 'svg') {
+            await this.removeBackground();
+        } else {
+            this.ui.renderLayerControls(this.logoProcessor);
+            this.ui.updateStatus('#bitmapStatus', 'Ready for bitmap conversion');
+            $('#btnVectorize').disabled = true;
+            await this.updatePalette().catch(error => console.warn('Palette extraction failed:', error));
+            this.recordHistory();
+        }
+    }
+
     /**
      * Convert processed logo to bitmap
-     * First step in the vectorization process - now uses FIXED threshold 0.7
+     * First step in the vectorization process - uses the selected threshold method
      */
     async convertToBitmap() {
         if (!this.logoProcessor.processedDataURL) return;
@@ -218,21 +709,66 @@ class App {
         this.ui.updateStatus('#bitmapStatus', 'Converting to bitmap...', true);
 
         try {
-            // Perform bitmap conversion using FIXED threshold 0.7 (works better for most logos)
-            await this.logoProcessor.convertToBitmap(this.config.threshold);
+            if (this.config.colorMode === 'multi') {
+                // Split logo into one layer per quantized color
+                await this.logoProcessor.convertToColorLayers(this.config.colorCount);
+                this.ui.renderLayerControls(this.logoProcessor);
+                this.ui.updateStatus('#bitmapStatus', `✅ ${this.logoProcessor.colorLayers.length} color layers ready`);
+            } else {
+                // Perform bitmap conversion with the selected threshold method
+                await this.logoProcessor.convertToBitmap(this.config.threshold, {
+                    method: this.config.thresholdMode,
+                    invert: this.config.invertBitmap
+                });
+                this.ui.showAppliedThreshold(this.logoProcessor.appliedThreshold);
+                this.ui.updateStatus('#bitmapStatus', '✅ Bitmap ready');
+            }
             
             // Update UI on success
-            this.ui.updateStatus('#bitmapStatus', '✅ Bitmap ready');
             $('#btnVectorize').disabled = false; // Enable next step
             this.ui.renderLogoPreview(this.logoProcessor);
+            this.recordHistory();
             
         } catch (error) {
+            if (error.name === 'AbortError') return this.ui.updateStatus('#bitmapStatus', '⏹️ Cancelled');
             console.error('Bitmap conversion failed:', error);
             this.ui.updateStatus('#bitmapStatus', '❌ Bitmap failed');
             showMessage('#logoResult', '❌ Bitmap conversion failed', false);
         }
     }
 
+    /**
+     * Apply a cleanup operation to the bitmap and refresh the preview
+     * @param {string} operation - 'despeckle', 'fillHoles', 'grow' or 'shrink'
+     */
+    async cleanupBitmap(operation) {
+        const amounts = {
+            despeckle: this.config.speckSize,
+            fillHoles: this.config.holeSize,
+            grow: this.config.morphRadius,
+            shrink: this.config.morphRadius
+        };
+        const done = {
+            despeckle: 'specks removed',
+            fillHoles: 'holes filled',
+            grow: 'grown',
+            shrink: 'shrunk'
+        };
+
+        try {
+            const changed = await this.logoProcessor.cleanupBitmap(operation, amounts[operation]);
+            this.ui.updateStatus('#bitmapStatus', changed
+                ? `✅ Bitmap ${done[operation]} (${changed.toLocaleString()} px)`
+                : 'Nothing to clean up at this size');
+            this.ui.renderLogoPreview(this.logoProcessor);
+            this.recordHistory();
+        } catch (error) {
+            if (error.name === 'AbortError') return this.ui.updateStatus('#bitmapStatus', '⏹️ Cancelled');
+            console.error('Bitmap cleanup failed:', error);
+            this.ui.updateStatus('#bitmapStatus', '❌ Cleanup failed');
+        }
+    }
+
     /**
      * Create vector SVG from bitmap
      * Final step in logo processing - creates hole-preserving vector
@@ -247,26 +783,300 @@ class App {
         this.ui.updateStatus('#bitmapStatus', 'Creating vector with holes...', true);
 
         try {
-            // Determine color: custom color or black for original colors
-            const color = this.config.preserveColor ? this.config.logoColor : '#000000';
-            
-            // Perform vectorization
-            await this.logoProcessor.vectorize(color);
+            if (this.logoProcessor.colorLayers) {
+                // Multi-color: trace every color layer, keeping the palette
+                await this.logoProcessor.vectorizeLayers(this.getTraceOptions());
+            } else {
+                // Solid color or gradient fill from the color section
+                await this.logoProcessor.vectorize(this.getLogoFill(), this.getTraceOptions());
+            }
             
             // Update UI on success
             this.ui.updateStatus('#bitmapStatus', '✅ Vector created!');
             this.ui.renderLogoPreview(this.logoProcessor);
+
+            // Immediate feedback on how well the vector matches
+            await this.compareFidelity();
+            this.recordHistory();
             
         } catch (error) {
+            if (error.name === 'AbortError') return this.ui.updateStatus('#bitmapStatus', '⏹️ Cancelled');
             console.error('Vectorization failed:', error);
             this.ui.updateStatus('#bitmapStatus', '❌ Vector failed');
             showMessage('#logoResult', '❌ Vector creation failed', false);
         }
     }
 
+    /**
+     * Build the logo fill from the color section
+     * @returns {string|Object} - Hex color for solid fills, or a gradient description
+     *          { type, angle, stops: [{ offset, color }] }
+     */
+    getLogoFill() {
+        // Solid: custom color or black for original colors
+        if (this.config.fillType === 'solid') {
+            return this.config.preserveColor ? this.config.logoColor : '#000000';
+        }
+
+        const colors = this.config.fillMidStop
+            ? [this.config.fillStart, this.config.fillMid, this.config.fillEnd]
+            : [this.config.fillStart, this.config.fillEnd];
+
+        return {
+            type: this.config.fillType,
+            angle: this.config.fillAngle,
+            stops: colors.map((color, i) => ({ offset: i / (colors.length - 1), color }))
+        };
+    }
+
+    /**
+     * Apply the current fill to an already traced vector
+     */
+    refreshLogoFill() {
+        if (this.logoProcessor.updateFill(this.getLogoFill())) {
+            this.ui.renderLogoPreview(this.logoProcessor);
+        }
+    }
+
+    /**
+     * Use the banner background colors and direction for the logo gradient
+     */
+    matchBannerFill() {
+        this.config.fillType = this.config.fillType === 'solid' ? 'linear' : this.config.fillType;
+        this.config.fillStart = this.config.bg;
+        this.config.fillEnd = this.config.grad;
+        this.config.fillMidStop = false;
+
+        // Banner gradient runs corner to corner; snap to the angle slider's 15° steps
+        const angle = Math.atan2(this.config.h, this.config.w) * 180 / Math.PI + 90;
+        this.config.fillAngle = Math.round(angle / 15) * 15;
+
+        this.ui.updateFillInputs();
+        this.refreshLogoFill();
+    }
+
+    /**
+     * Re-extract the brand palette from the processed logo and show it
+     * @returns {Promise<Array>} - Extracted palette
+     */
+    async updatePalette() {
+        if (!this.logoProcessor.processedDataURL) return [];
+
+        const palette = await this.logoProcessor.extractPalette(
+            this.logoProcessor.processedDataURL,
+            this.config.paletteSize
+        );
+        this.ui.renderPalette(palette);
+        return palette;
+    }
+
+    /**
+     * Apply a palette color to the logo, background or text
+     * @param {string} color - Hex color code
+     * @param {string} target - Config key: 'logoColor', 'bg', 'grad' or 'tcol'
+     */
+    applyPaletteColor(color, target) {
+        if (target === 'logoColor') {
+            this.updateColor(color);
+            this.refreshLogoFill(); // Recolor the traced vector and its preview
+        } else {
+            this.config[target] = color;
+            this.ui.updateInputsFromConfig();
+        }
+    }
+
+    /**
+     * Handle recoloring or hiding of a single color layer
+     * @param {Event} e - Input/change event from the layer controls
+     */
+    handleLayerChange(e) {
+        const { layerColor, layerVisible } = e.target.dataset;
+
+        if (layerColor !== undefined) {
+            this.logoProcessor.updateColorLayer(+layerColor, { color: e.target.value });
+        } else if (layerVisible !== undefined) {
+            this.logoProcessor.updateColorLayer(+layerVisible, { visible: e.target.checked });
+        } else {
+            return;
+        }
+
+        this.ui.renderLogoPreview(this.logoProcessor);
+    }
+
+    /**
+     * Add a layer on top of the stack and open it for editing
+     * Image layers ask for a picture first
+     * @param {string} type - 'background', 'image', 'logo', 'text' or 'shape'
+     */
+    addLayer(type) {
+        if (type === 'image') {
+            this.imageLayerTarget = null;
+            $('#layerImageInput').click();
+            return;
+        }
+
+        const layer = createLayer(type);
+        this.config.layers.push(layer);
+        this.ui.selectedLayer = layer.id;
+        this.ui.renderLayerStack();
+    }
+
+    /**
+     * Store a picture for an image layer: replaces the target layer's image or adds a new layer
+     * @param {File} file - Image file
+     */
+    async loadLayerImage(file) {
+        if (!/^image\/(png|jpe?g|webp|gif|svg\+xml)$/i.test(file.type)) {
+            showMessage('#preview', '❌ Please use a PNG, JPG, WebP, GIF or SVG image.', false);
+            return;
+        }
+
+        const asset = addAsset(await blobToDataURL(file));
+        const target = this.config.layers.find(layer => layer.id === this.imageLayerTarget);
+
+        if (target) {
+            target.asset = asset;
+        } else {
+            const layer = createLayer('image', { asset, name: file.name });
+            this.config.layers.push(layer);
+            this.ui.selectedLayer = layer.id;
+        }
+
+        this.imageLayerTarget = null;
+        this.ui.renderLayerStack();
+        this.recordHistory();
+    }
+
+    /**
+     * Apply an edited layer property (visibility, opacity, position, content...)
+     * @param {Event} e - Input/change event from the layer stack
+     */
+    handleLayerProp(e) {
+        const prop = e.target.dataset.layerProp;
+        if (!prop) return;
+
+        const layer = this.config.layers.find(l => l.id === e.target.closest('[data-layer]').dataset.layer);
+        if (!layer) return;
+
+        if (e.target.type === 'checkbox') {
+            layer[prop] = e.target.checked;
+        } else if (e.target.type === 'range' || e.target.type === 'number') {
+            layer[prop] = +e.target.value;
+        } else {
+            layer[prop] = e.target.value;
+        }
+
+        // Picking a slot replaces a position dragged on the preview
+        if (prop === 'pos') layer.x = layer.y = null;
+    }
+
+    /**
+     * Handle layer stack buttons: select, reorder, duplicate, delete, replace image
+     * @param {Event} e - Click event from the layer stack
+     */
+    handleLayerAction(e) {
+        const button = e.target.closest('[data-layer-action]');
+        if (!button) return;
+
+        const layers = this.config.layers;
+        const id = button.closest('[data-layer]').dataset.layer;
+        const index = layers.findIndex(layer => layer.id === id);
+
+        switch (button.dataset.layerAction) {
+            case 'select':
+                this.ui.selectedLayer = this.ui.selectedLayer === id ? null : id;
+                break;
+            case 'up':
+                moveLayer(layers, id, 1);
+                break;
+            case 'down':
+                moveLayer(layers, id, -1);
+                break;
+            case 'duplicate': {
+                const copy = duplicateLayer(layers[index], this.config);
+                layers.splice(index + 1, 0, copy); // Right in front of the original
+                this.ui.selectedLayer = copy.id;
+                break;
+            }
+            case 'delete':
+                layers.splice(index, 1);
+                break;
+            case 'image':
+                this.imageLayerTarget = id;
+                $('#layerImageInput').click();
+                return;
+        }
+
+        this.ui.renderLayerStack();
+    }
+
+    /**
+     * Apply a move or resize made on the banner preview
+     * Main layers store their free position and sizes in the Step 2 settings, added
+     * layers in themselves
+     * @param {Object} edit - Layer id, new position x/y (% of the banner) and size factor
+     */
+    async applyStageEdit({ id, x, y, scale }) {
+        const layer = this.config.layers.find(l => l.id === id);
+        if (!layer) return;
+
+        // Sizes stay within their slider ranges
+        const resize = (value, min, max) => Math.min(max, Math.max(min, Math.round(value * scale)));
+        const position = { x: Math.round(x * 100) / 100, y: Math.round(y * 100) / 100 };
+
+        if (layer.main && layer.type === 'logo') {
+            Object.assign(this.config, {
+                logoX: position.x, logoY: position.y,
+                logoSizePct: resize(this.config.logoSizePct, 10, 80)
+            });
+        } else if (layer.main && layer.type === 'text') {
+            Object.assign(this.config, {
+                textX: position.x, textY: position.y,
+                fs: resize(this.config.fs, 16, 72),
+                subFs: resize(this.config.subFs, 10, 60),
+                textMaxWidth: resize(this.config.textMaxWidth, 20, 100)
+            });
+        } else {
+            Object.assign(layer, position, { size: resize(layer.size, 5, 100) });
+            if (layer.type === 'text') layer.fontSize = resize(layer.fontSize, 8, 200);
+        }
+
+        this.ui.updateInputsFromConfig();
+        await this.generatePreview();
+        this.recordHistory();
+    }
+
+    /**
+     * Discard bitmap and vector results so they are re-created with new settings
+     */
+    resetVectorStage() {
+        if (!this.logoProcessor.processedDataURL) return;
+
+        this.logoProcessor.resetDerivedStages();
+
+        this.ui.renderLayerControls(this.logoProcessor);
+        this.ui.renderLogoPreview(this.logoProcessor);
+        this.ui.updateStatus('#bitmapStatus', 'Ready for bitmap conversion');
+        $('#btnVectorize').disabled = true;
+    }
+
+    /**
+     * Build curve fitting options from the smoothness/detail sliders
+     * @returns {Object|null} - Options for LogoProcessor tracing, or null for pixel-exact output
+     */
+    getTraceOptions() {
+        if (this.config.detail >= 100) return null;
+
+        return {
+            smoothness: this.config.smoothness / 100,
+            // Detail 0 → 3px tolerance, detail 99 → ~0.25px
+            tolerance: 3 - (this.config.detail / 100) * 2.75
+        };
+    }
+
     /**
      * Download the generated SVG logo
-     * Allows user to save just the vector logo
+     * Allows user to save just the vector logo, and reports how heavy it is
      */
     downloadSVG() {
         if (!this.logoProcessor.vectorSVGContent) return;
@@ -276,6 +1086,88 @@ class App {
             'fixed-vector-logo-with-holes.svg', 
             'image/svg+xml'
         );
+
+        const { nodes, kb } = this.ui.vectorStats(this.logoProcessor.vectorSVGContent);
+        this.ui.updateStatus('#bitmapStatus', `⬇️ SVG downloaded · ${nodes.toLocaleString()} nodes · ${kb} KB`);
+    }
+
+    /**
+     * Compare the vector with the processed logo and show the report
+     */
+    async compareFidelity() {
+        try {
+            const report = await this.logoProcessor.compareFidelity();
+            this.ui.renderFidelity(report);
+            this.ui.updateStatus('#bitmapStatus', `✅ Vector ready · IoU ${report.iou.toFixed(3)}`);
+            this.recordHistory();
+        } catch (error) {
+            if (error.name === 'AbortError') return this.ui.updateStatus('#bitmapStatus', '⏹️ Cancelled');
+            console.error('Fidelity check failed:', error);
+            this.ui.updateStatus('#bitmapStatus', '❌ Comparison failed');
+        }
+    }
+
+    /**
+     * Generate the brand variant set from the current vector and preview it
+     */
+    generateVariants() {
+        try {
+            const variants = this.logoProcessor.generateVariants(this.brandColor());
+            this.ui.renderVariants(variants);
+            this.ui.updateStatus('#bitmapStatus', variants.length > 1
+                ? `✅ ${variants.length} variants ready`
+                : '⚠️ Full color only - the logo embeds a bitmap image, which can\'t be recolored');
+        } catch (error) {
+            console.error('Variant generation failed:', error);
+            this.ui.updateStatus('#bitmapStatus', '❌ Variants failed');
+        }
+    }
+
+    /**
+     * Pick the tile color for the inverse variant
+     * Most common palette color that a white logo is readable on (3:1), else near-black
+     * @returns {string} - Hex color
+     */
+    brandColor() {
+        const swatch = this.logoProcessor.palette.find(c => contrastRatio(c.hex, '#ffffff') >= 3);
+        return swatch ? swatch.hex : '#111827';
+    }
+
+    /**
+     * Download all variants as SVG and PNG files in one ZIP
+     */
+    async downloadVariants() {
+        this.ui.updateStatus('#bitmapStatus', 'Exporting variants...', true);
+
+        try {
+            const zip = await this.logoProcessor.exportVariants();
+            downloadFile(zip, 'logo-variants.zip', 'application/zip');
+            this.ui.updateStatus('#bitmapStatus', '✅ Variants downloaded');
+        } catch (error) {
+            console.error('Variant export failed:', error);
+            this.ui.updateStatus('#bitmapStatus', '❌ Variant export failed');
+        }
+    }
+
+    /**
+     * Download favicons and app icons generated from the vector logo as one ZIP
+     */
+    async downloadIconPack() {
+        if (!this.logoProcessor.vectorSVGContent) return;
+
+        this.ui.updateStatus('#bitmapStatus', 'Building icon pack...', true);
+
+        try {
+            const zip = await this.iconExporter.createIconPack(this.logoProcessor.vectorSVGContent, {
+                background: this.config.iconBg,
+                name: this.config.text.split('\n')[0].trim() || 'My App'
+            });
+            downloadFile(zip, 'icon-pack.zip', 'application/zip');
+            this.ui.updateStatus('#bitmapStatus', '✅ Icon pack downloaded');
+        } catch (error) {
+            console.error('Icon pack export failed:', error);
+            this.ui.updateStatus('#bitmapStatus', '❌ Icon pack failed');
+        }
     }
 
     /**
@@ -296,10 +1188,15 @@ class App {
             );
 
             const dataURL = canvas.toDataURL('image/png');
-            this.ui.showPreview(dataURL);
+            this.ui.showPreview(dataURL, this.bannerGenerator.layerBoxes);
 
             // Also prepare final step
             this.ui.showFinalBanner(dataURL);
+            if (this.ui.step === 3) {
+                this.prepareExport();
+            } else {
+                this.exportFile = null;
+            }
 
         } catch (error) {
             console.error('Preview generation failed:', error);
@@ -308,18 +1205,199 @@ class App {
     }
 
     /**
-     * Download final banner as PNG
+     * Encode the banner with the Step 3 format settings and show the file's size
+     * The file is kept for download, so what is shown is exactly what gets saved
+     */
+    async prepareExport() {
+        this.exportFile = null;
+        if (!this.bannerGenerator.canvas) return;
+
+        const { exportFormat: format, exportQuality, exportFitSize, exportMaxKB } = this.config;
+        const request = ++this.exportRequest;
+        this.ui.updateStatus('#exportStatus', 'Encoding...', true);
+
+        try {
+            const result = format !== 'png' && exportFitSize
+                ? await this.bannerGenerator.encodeBannerUnder(format, exportMaxKB * 1024)
+                : { blob: await this.bannerGenerator.encodeBanner(format, exportQuality), quality: exportQuality, fits: true };
+            if (request !== this.exportRequest) return; // Settings changed meanwhile
+
+            const { width, height } = this.bannerGenerator.canvas;
+            this.exportFile = { ...result, format };
+            this.ui.showExportInfo(this.exportFile, width, height);
+        } catch (error) {
+            if (request !== this.exportRequest) return;
+            console.error('Image encoding failed:', error);
+            this.ui.updateStatus('#exportStatus', `❌ ${error.message}`);
+        }
+    }
+
+    /**
+     * Download final banner in the chosen format
      * Saves the composed banner to user's device
      */
-    downloadPNG() {
-        const dataURL = this.bannerGenerator.getDataURL();
-        if (!dataURL) return;
-        
-        // Create download link and trigger download
-        const link = document.createElement('a');
-        link.download = 'fixed-banner-with-holes.png';
-        link.href = dataURL;
-        link.click();
+    async downloadImage() {
+        if (!this.exportFile) await this.prepareExport();
+        if (!this.exportFile) return;
+
+        const { blob, format } = this.exportFile;
+        downloadFile(blob, `fixed-banner-with-holes.${format === 'jpeg' ? 'jpg' : format}`, blob.type);
+    }
+
+    /**
+     * Download the banner as an editable SVG
+     * Rendered from the same settings as the PNG, with text and logo kept as vectors
+     */
+    async downloadBannerSVG() {
+        if (!this.logoProcessor.vectorSVGContent) return;
+
+        this.ui.updateStatus('#exportStatus', 'Building SVG...', true);
+
+        try {
+            const svg = await this.svgBannerRenderer.render(
+                this.config,
+                this.logoProcessor.vectorSVGContent,
+                this.uploadedBannerDataURL
+            );
+            downloadFile(svg, 'banner.svg', 'image/svg+xml');
+
+            const kb = Math.round(new Blob([svg]).size / 1024);
+            this.ui.updateStatus('#exportStatus', `⬇️ SVG downloaded · ${kb} KB`);
+        } catch (error) {
+            console.error('SVG export failed:', error);
+            this.ui.updateStatus('#exportStatus', '❌ SVG export failed');
+        }
+    }
+
+    /**
+     * Download the design at every selected batch size as one ZIP
+     */
+    async downloadBatch() {
+        if (!this.logoProcessor.vectorSVGContent) return;
+
+        const sizes = BATCH_SIZES.filter(size => this.config.batchSizes.includes(size.id));
+
+        try {
+            const zip = await this.batchExporter.exportSizes(
+                this.config,
+                this.logoProcessor.vectorSVGContent,
+                this.uploadedBannerDataURL,
+                sizes
+            );
+            downloadFile(zip, 'banner-sizes.zip', 'application/zip');
+            this.ui.updateStatus('#exportStatus', `⬇️ ${sizes.length} sizes downloaded`);
+        } catch (error) {
+            console.error('Batch export failed:', error);
+            this.ui.updateStatus('#exportStatus', `❌ Batch export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Import a CSV for bulk banners and render its rows
+     * @param {File} file - CSV file, first line holds the column names
+     */
+    async handleCSVFile(file) {
+        try {
+            this.csv = parseCSV(await file.text());
+        } catch (error) {
+            this.csv = null;
+            this.csvResults = null;
+            this.ui.showCSV(null);
+            this.ui.updateStatus('#csvInfo', `❌ ${error.message}`);
+            return;
+        }
+
+        // Name files by the first column unless the chosen one is still there
+        if (!this.csv.columns.includes(this.config.csvNameColumn)) {
+            this.config.csvNameColumn = this.csv.columns[0];
+        }
+        this.ui.showCSV(this.csv);
+        await this.renderCSVRows();
+    }
+
+    /**
+     * Everything the row banners depend on, to tell whether they need rendering again
+     * The name column only changes file names, so it's left out
+     * @returns {string} - Comparable snapshot
+     */
+    csvDesignKey() {
+        return JSON.stringify([
+            { ...this.config, csvNameColumn: null },
+            this.logoProcessor.vectorSVGContent,
+            this.uploadedBannerDataURL
+        ]);
+    }
+
+    /**
+     * Render one banner per CSV row and show them in the review grid
+     * @returns {Promise<boolean>} - Whether the rows rendered
+     */
+    async renderCSVRows() {
+        if (!this.csv || !this.logoProcessor.vectorSVGContent) return false;
+
+        try {
+            this.csvResults = await this.bulkGenerator.renderRows(
+                this.config,
+                this.logoProcessor.vectorSVGContent,
+                this.uploadedBannerDataURL,
+                this.csv.rows
+            );
+            this.csvDesign = this.csvDesignKey();
+            this.ui.renderCSVRows(this.csvResults, rowFileNames(this.csv.rows, this.config.csvNameColumn));
+            this.ui.updateStatus('#exportStatus', `✅ ${this.csvResults.length} banners rendered`);
+            return true;
+        } catch (error) {
+            console.error('Rendering CSV rows failed:', error);
+            this.csvResults = null;
+            this.ui.renderCSVRows(null);
+            this.ui.updateStatus('#exportStatus', `❌ Rendering rows failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Download the row banners as one ZIP, named by the chosen column
+     * Rows are rendered again first if the design changed since the grid was made
+     */
+    async downloadCSVRows() {
+        if (!this.csv) return;
+        if ((!this.csvResults || this.csvDesign !== this.csvDesignKey()) && !(await this.renderCSVRows())) return;
+
+        try {
+            const names = rowFileNames(this.csv.rows, this.config.csvNameColumn);
+            const zip = await this.bulkGenerator.packRows(this.csvResults, names, this.config.exportFormat);
+            downloadFile(zip, 'banner-rows.zip', 'application/zip');
+            this.ui.updateStatus('#exportStatus', `⬇️ ${names.length} banners downloaded`);
+        } catch (error) {
+            console.error('CSV rows export failed:', error);
+            this.ui.updateStatus('#exportStatus', `❌ Rows export failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download a print-ready PDF at the physical size from Step 3
+     */
+    async downloadPDF() {
+        if (!this.logoProcessor.vectorSVGContent) return;
+
+        this.ui.updateStatus('#exportStatus', 'Building PDF...', true);
+
+        try {
+            const { blob, vectorLogo } = await this.printExporter.createPDF(
+                this.bannerGenerator,
+                this.config,
+                this.logoProcessor.vectorSVGContent,
+                this.uploadedBannerDataURL
+            );
+            downloadFile(blob, 'banner-print.pdf', 'application/pdf');
+
+            const mb = (blob.size / 1024 / 1024).toFixed(1);
+            const logo = vectorLogo ? 'logo as vector' : 'logo rasterized (effects or gradient fill)';
+            this.ui.updateStatus('#exportStatus', `⬇️ PDF downloaded · ${mb} MB · ${logo}`);
+        } catch (error) {
+            console.error('PDF export failed:', error);
+            this.ui.updateStatus('#exportStatus', `❌ PDF export failed: ${error.message}`);
+        }
     }
 
     /**
@@ -374,7 +1452,7 @@ class App {
         };
 
         if (presets[type]) {
-            Object.assign(this.config, presets[type]);
+            Object.assign(this.config, presets[type], { logoX: null, logoY: null });
             this.ui.updateInputsFromConfig();
         }
     }
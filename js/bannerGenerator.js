@@ -2,19 +2,46 @@
  * BANNER GENERATOR MODULE
  * 
  * Handles banner composition and rendering:
+ * - Layer stack drawn bottom to top (background, image, logo, text, shape layers)
+ * - Preset position slots or free positions, with layer bounds for on-canvas editing
  * - Background generation (solid, gradient, pattern)
- * - Text rendering with positioning
+ * - Text rendering: word wrap, line breaks, alignment, auto-fit and a subtitle
+ * - Custom fonts (uploaded fonts are loaded before drawing)
  * - Logo placement with scaling and positioning
- * - Canvas composition and export
+ * - Logo effects (shadow, outline, glow, opacity, rotation, flip, blend mode)
+ * - Canvas composition and export (SVG export lives in svgBannerRenderer.js and
+ *   shares the layout helpers here)
+ * - PNG, JPEG and WebP encoding, optionally searching for the quality that fits a file size
  */
 
+import { fontString } from './fontManager.js';
+import { getAsset } from './layers.js';
+import { canvasToBlob } from './utils.js';
+import { dilateAlpha } from './bitmapOps.js';
+
 export class BannerGenerator {
     constructor() {
-        this.canvas = null; // Store the final banner canvas
+        this.canvas = null;     // Store the final banner canvas
+        this.layerBoxes = [];   // Bounds of the movable layers in the last banner
+    }
+
+    /**
+     * Fonts for the headline and subtitle
+     * The subtitle uses the same family and style at regular weight
+     * @param {Object} config - Banner configuration
+     * @returns {{title: function(number): string, subtitle: function(number): string}} -
+     *          Canvas font string builders by size
+     */
+    textFonts(config) {
+        const font = { family: config.fontFamily, weight: config.fontWeight, italic: config.fontItalic };
+        return {
+            title: (size) => fontString(font, size),
+            subtitle: (size) => fontString({ ...font, weight: 400 }, size)
+        };
     }
 
     /**
-     * Generate a complete banner with background, text, and logo
+     * Generate a complete banner from the layer stack
      * @param {Object} config - Banner configuration object
      * @param {string} vectorSVG - SVG content for the logo
      * @param {string|null} uploadedBannerDataURL - Optional uploaded banner background
@@ -31,22 +58,158 @@ export class BannerGenerator {
         ctx.imageSmoothingEnabled = true;
         ctx.imageSmoothingQuality = 'high';
 
-        // Step 1: Draw background (template or uploaded image)
-        await this.drawBackground(ctx, config, uploadedBannerDataURL);
+        // Draw visible layers from the bottom up, noting where each one landed
+        const boxes = [];
+        for (const layer of config.layers) {
+            if (!layer.visible) continue;
 
-        // Step 2: Add text if specified
-        if (config.text) {
-            this.drawText(ctx, config);
-        }
+            ctx.save();
+            ctx.globalAlpha = layer.opacity / 100;
+            const box = await this.drawLayer(ctx, config, layer, vectorSVG, uploadedBannerDataURL);
+            ctx.restore();
 
-        // Step 3: Add logo
-        await this.drawLogo(ctx, config, vectorSVG);
+            if (box) boxes.push({ id: layer.id, ...box });
+        }
+        this.layerBoxes = boxes;
 
         // Store and return final canvas
         this.canvas = canvas;
         return canvas;
     }
 
+    /**
+     * Draw one layer of the stack
+     * Main layers render the design from the Step 2 controls; other layers use their own
+     * position slot, size and content
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context (layer opacity already set)
+     * @param {Object} config - Banner configuration
+     * @param {Object} layer - Layer to draw
+     * @param {string} vectorSVG - SVG content for logo layers
+     * @param {string|null} uploadedBannerDataURL - Optional uploaded banner background
+     * @returns {Promise<Object|null>} - Bounds { x, y, width, height } of the drawn layer,
+     *          or null if it can't be moved (main background, empty text)
+     */
+    async drawLayer(ctx, config, layer, vectorSVG, uploadedBannerDataURL) {
+        switch (layer.type) {
+            case 'background': {
+                if (layer.main) {
+                    await this.drawBackground(ctx, config, uploadedBannerDataURL);
+                    return null;
+                }
+
+                // Template background inside the layer's box
+                const box = this.placeBox(config, layer.pos, layer.size, config.w / config.h, layer);
+                ctx.translate(box.x, box.y);
+                this.drawTemplateBackground(ctx, {
+                    ...config, w: box.width, h: box.height,
+                    template: layer.template, bg: layer.bg, grad: layer.grad
+                });
+                return box;
+            }
+
+            case 'text': {
+                if (!layer.main) return this.drawTextLayer(ctx, config, layer);
+                if (!config.text && !config.subtitle) return null;
+
+                // Uploaded fonts must be ready, or the first draw falls back to a default font
+                const fonts = this.textFonts(config);
+                await document.fonts.load(fonts.title(config.fs), config.text || 'A');
+                await document.fonts.load(fonts.subtitle(config.subFs), config.subtitle || 'A');
+                return this.drawText(ctx, config);
+            }
+
+            case 'logo':
+                return this.drawLogo(ctx, layer.main ? config : {
+                    ...config, logoPos: layer.pos, logoSizePct: layer.size, logoX: layer.x, logoY: layer.y
+                }, vectorSVG);
+
+            case 'image': {
+                const src = getAsset(layer.asset);
+                if (!src) return null;
+                const img = await this.loadImage(src);
+                const box = this.placeBox(config, layer.pos, layer.size, img.width / img.height, layer);
+                ctx.drawImage(img, box.x, box.y, box.width, box.height);
+                return box;
+            }
+
+            case 'shape':
+                return this.drawShape(ctx, config, layer);
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Draw an added text layer
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} config - Banner configuration (font and line height)
+     * @param {Object} layer - Text layer
+     * @returns {Promise<Object|null>} - Text bounds, or null for empty text
+     */
+    async drawTextLayer(ctx, config, layer) {
+        if (!layer.text) return null;
+
+        const { textConfig, boxLeft } = this.textLayerSettings(config, layer);
+        await document.fonts.load(this.textFonts(textConfig).title(layer.fontSize), layer.text);
+        return this.drawText(ctx, textConfig, boxLeft);
+    }
+
+    /**
+     * Text settings for an added text layer
+     * The layer's slot picks the alignment and which edge the text box hugs; its size
+     * is the box width
+     * @param {Object} config - Banner configuration (font and line height)
+     * @param {Object} layer - Text layer
+     * @returns {{textConfig: Object, boxLeft: number|null}} - Config for layoutText/drawText
+     *          and the text box's left edge
+     */
+    textLayerSettings(config, layer) {
+        const pad = 20; // Same edge padding as the position slots
+        const align = layer.pos.startsWith('left') ? 'left' : layer.pos.startsWith('right') ? 'right' : 'center';
+        const tpos = layer.pos.includes('top') ? 'top' : layer.pos.includes('bottom') ? 'bottom' : 'middle';
+        const maxWidth = config.w * layer.size / 100;
+
+        const textConfig = {
+            ...config,
+            text: layer.text, subtitle: '', tcol: layer.color, fs: layer.fontSize,
+            tpos, textAlign: align, textMaxWidth: layer.size, textAutoFit: false,
+            textX: layer.x, textY: layer.y
+        };
+
+        // Slots hug the edges; a free position centers the box on its point instead
+        const boxLeft = layer.x != null
+            ? null
+            : { left: pad, center: (config.w - maxWidth) / 2, right: config.w - pad - maxWidth }[align];
+        return { textConfig, boxLeft };
+    }
+
+    /**
+     * Draw a shape layer (badges, panels behind text)
+     * Rectangles and ellipses fill their box; circles use the box's shorter side
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} config - Banner configuration
+     * @param {Object} layer - Shape layer: shape ('rect', 'rounded', 'ellipse', 'circle') and color
+     * @returns {Object} - Shape bounds
+     */
+    drawShape(ctx, config, layer) {
+        const aspect = layer.shape === 'circle' ? 1 : config.w / config.h;
+        const { x, y, width, height } = this.placeBox(config, layer.pos, layer.size, aspect, layer);
+
+        ctx.fillStyle = layer.color;
+        ctx.beginPath();
+        if (layer.shape === 'rect') {
+            ctx.rect(x, y, width, height);
+        } else if (layer.shape === 'rounded') {
+            ctx.roundRect(x, y, width, height, Math.min(width, height) * 0.2);
+        } else {
+            ctx.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+        }
+        ctx.fill();
+
+        return { x, y, width, height };
+    }
+
     /**
      * Draw the banner background
      * Either uses an uploaded image or generates a template background
@@ -110,32 +273,144 @@ export class BannerGenerator {
 
     /**
      * Draw text on the banner
-     * Positions text at top or bottom center based on configuration
+     * Headline and subtitle are laid out as one block at the top or bottom
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
      * @param {Object} config - Banner configuration
+     * @param {number|null} boxLeft - Left edge of the text box (null = centered on the banner)
+     * @returns {Object} - Bounds of the text block
      */
-    drawText(ctx, config) {
-        // Set text styling
-        ctx.fillStyle = config.tcol;                              // Text color
-        ctx.font = `bold ${config.fs}px Arial, sans-serif`;      // Bold font with size
-        ctx.textAlign = 'center';                                // Center horizontally
-        ctx.textBaseline = 'alphabetic';                         // Standard baseline
-        
-        // Calculate vertical position based on preference
-        const y = config.tpos === 'top' 
-            ? config.fs + 16          // Top: font size + padding
-            : config.h - 16;          // Bottom: height - padding
-        
-        // Draw text centered horizontally
-        ctx.fillText(config.text, config.w / 2, y);
+    drawText(ctx, config, boxLeft = null) {
+        const { x, align, lines, bounds } = this.layoutText(ctx, config, boxLeft);
+
+        ctx.save();
+        ctx.textAlign = align;
+        ctx.textBaseline = 'middle';    // Lines are positioned by their center
+        lines.forEach(line => {
+            ctx.font = line.font;
+            ctx.fillStyle = line.color;
+            ctx.fillText(line.text, x, line.y);
+        });
+        ctx.restore();
+
+        return bounds;
+    }
+
+    /**
+     * Compute where every text line goes
+     * Lines wrap within the text box width; auto-fit shrinks both font sizes until
+     * the block also fits the box height. A free position (textX/textY, % of the banner)
+     * centers the block on that point instead of the top/bottom placement
+     * @param {CanvasRenderingContext2D} ctx - Context used to measure text
+     * @param {Object} config - Banner configuration
+     * @param {number|null} boxLeft - Left edge of the text box (null = centered on the banner)
+     * @returns {{x: number, align: string, lines: Array<{text: string, font: string,
+     *          weight: number, color: string, size: number, y: number}>, bounds: Object}} -
+     *          Anchor x, canvas text alignment, each line with its vertical center, and the
+     *          block's bounds
+     */
+    layoutText(ctx, config, boxLeft = null) {
+        const pad = 16;
+        const maxWidth = config.w * config.textMaxWidth / 100;
+        const maxHeight = config.h * config.textBoxHeight / 100;
+        const fonts = this.textFonts(config);
+
+        // Wrap both parts at a given headline size (subtitle keeps its proportion)
+        const build = (size) => {
+            const subSize = Math.max(6, Math.round(size * config.subFs / config.fs));
+            const parts = [
+                { text: config.text, font: fonts.title(size), weight: config.fontWeight, color: config.tcol, size },
+                { text: config.subtitle, font: fonts.subtitle(subSize), weight: 400, color: config.subCol, size: subSize }
+            ];
+
+            const lines = [];
+            parts.forEach(({ text, ...part }) => {
+                if (!text) return;
+                ctx.font = part.font;
+                this.wrapText(ctx, text, maxWidth).forEach(line => lines.push({ text: line, ...part }));
+            });
+
+            const height = lines.reduce((sum, line) => sum + line.size * config.lineHeight, 0);
+            const width = Math.max(0, ...lines.map(line => {
+                ctx.font = line.font;
+                return ctx.measureText(line.text).width;
+            }));
+            return { lines, height, width };
+        };
+
+        let block = build(config.fs);
+        if (config.textAutoFit) {
+            // Largest size (up to the configured one) whose block fits the box
+            for (let size = config.fs - 1; size >= 8 && (block.height > maxHeight || block.width > maxWidth); size--) {
+                block = build(size);
+            }
+        }
+
+        // Stack lines from the top, around the middle or up from the bottom edge
+        const top = config.textY != null ? config.textY * config.h / 100 - block.height / 2 : {
+            top: pad,
+            middle: (config.h - block.height) / 2,
+            bottom: config.h - pad - block.height
+        }[config.tpos];
+        let y = top;
+        block.lines.forEach(line => {
+            const lineHeight = line.size * config.lineHeight;
+            line.y = y + lineHeight / 2;
+            y += lineHeight;
+        });
+
+        // Alignment picks the text box's left edge, center or right edge
+        const center = config.textX != null ? config.textX * config.w / 100 : config.w / 2;
+        const left = boxLeft ?? center - maxWidth / 2;
+        const x = { left, center: left + maxWidth / 2, right: left + maxWidth }[config.textAlign];
+
+        // Bounds of the actual text, for on-canvas editing
+        const boundsLeft = { left: x, center: x - block.width / 2, right: x - block.width }[config.textAlign];
+        // (a free position refers to the middle of the text box)
+        const bounds = {
+            x: boundsLeft, y: top, width: block.width, height: block.height,
+            anchorX: left + maxWidth / 2, anchorY: top + block.height / 2
+        };
+
+        return { x, align: config.textAlign, lines: block.lines, bounds };
+    }
+
+    /**
+     * Break text into lines no wider than maxWidth
+     * Explicit line breaks are kept; a single word wider than the box gets a line of its own
+     * @param {CanvasRenderingContext2D} ctx - Context with the font already set
+     * @param {string} text - Text, possibly with \n line breaks
+     * @param {number} maxWidth - Maximum line width in pixels
+     * @returns {Array<string>} - Lines
+     */
+    wrapText(ctx, text, maxWidth) {
+        const lines = [];
+
+        text.split(/\r?\n/).forEach(paragraph => {
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && ctx.measureText(candidate).width > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            lines.push(line); // Empty paragraphs stay as blank lines
+        });
+
+        return lines;
     }
 
     /**
      * Draw the logo on the banner
      * Converts SVG to image, calculates size and position, then draws
+     * Gradient fills are defined inside the SVG, so they render as-is
      * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
-     * @param {Object} config - Banner configuration
+     * @param {Object} config - Banner configuration (renderScale: canvas pixels per banner
+     *        pixel when the context is scaled up, e.g. for print; default 1)
      * @param {string} vectorSVG - SVG content to render
+     * @returns {Promise<Object>} - Logo bounds { x, y, width, height }
      */
     async drawLogo(ctx, config, vectorSVG) {
         // Convert SVG string to blob URL for image loading
@@ -148,15 +423,112 @@ export class BannerGenerator {
             
             // Calculate size and position based on configuration
             const { x, y, width, height } = this.calculateLogoPosition(config, img);
-            
+
+            // Outline and glow are baked into a padded copy of the logo, at the output resolution
+            const scale = config.renderScale || 1;
+            const { image, pad } = this.renderLogoEffects(img, width * scale, height * scale, {
+                ...config, outlineWidth: config.outlineWidth * scale, glowSize: config.glowSize * scale
+            });
+
+            ctx.save();
+            ctx.globalAlpha *= config.logoOpacity / 100; // On top of the layer opacity
+            ctx.globalCompositeOperation = config.logoBlend;
+
+            // Canvas shadows ignore the transform, so the shadow falls the same way at any rotation
+            // (they are in canvas pixels, so they follow the render scale by hand)
+            if (config.shadowOn) {
+                ctx.shadowColor = config.shadowColor;
+                ctx.shadowOffsetX = config.shadowX * scale;
+                ctx.shadowOffsetY = config.shadowY * scale;
+                ctx.shadowBlur = config.shadowBlur * scale;
+            }
+
+            // Rotate and flip around the logo center so its position is unchanged
+            ctx.translate(x + width / 2, y + height / 2);
+            ctx.rotate(config.logoRotation * Math.PI / 180);
+            ctx.scale(config.logoFlipH ? -1 : 1, config.logoFlipV ? -1 : 1);
+
             // Draw logo at calculated position and size
-            ctx.drawImage(img, x, y, width, height);
+            ctx.drawImage(image, -width / 2 - pad / scale, -height / 2 - pad / scale,
+                image.width / scale, image.height / scale);
+            ctx.restore();
+
+            return { x, y, width, height };
         } finally {
             // Always clean up the temporary URL
             URL.revokeObjectURL(url);
         }
     }
 
+    /**
+     * Render the logo at its final size with outline and glow applied
+     * @param {HTMLImageElement} img - Logo image
+     * @param {number} width - Logo width on the banner
+     * @param {number} height - Logo height on the banner
+     * @param {Object} config - Banner configuration (outlineWidth/Color, glowSize/Color)
+     * @returns {{image: HTMLCanvasElement, pad: number}} - Logo canvas and the margin
+     *          added on each side for the effects
+     */
+    renderLogoEffects(img, width, height, config) {
+        const outline = config.outlineWidth;
+        const glow = config.glowSize;
+        const pad = Math.ceil(outline + glow * 2);
+        const w = Math.ceil(width) + pad * 2;
+        const h = Math.ceil(height) + pad * 2;
+
+        const canvas = this.createCanvas(w, h);
+        const ctx = canvas.getContext('2d');
+
+        // Outline: the logo's alpha grown by the outline width, filled with the color, logo on top
+        // (one pass over the pixels at any width, so large print outlines stay fast)
+        if (outline > 0) {
+            const silhouette = this.createCanvas(w, h);
+            const sctx = silhouette.getContext('2d');
+            sctx.drawImage(img, pad, pad, width, height);
+
+            const pixels = sctx.getImageData(0, 0, w, h);
+            const alpha = new Uint8ClampedArray(w * h);
+            for (let p = 0; p < alpha.length; p++) alpha[p] = pixels.data[p * 4 + 3];
+            const grown = dilateAlpha(alpha, w, h, outline);
+            for (let p = 0; p < grown.length; p++) pixels.data[p * 4 + 3] = grown[p];
+            sctx.putImageData(pixels, 0, 0);
+
+            sctx.globalCompositeOperation = 'source-in';
+            sctx.fillStyle = config.outlineColor;
+            sctx.fillRect(0, 0, w, h);
+            ctx.drawImage(silhouette, 0, 0);
+        }
+        ctx.drawImage(img, pad, pad, width, height);
+        if (glow <= 0) return { image: canvas, pad };
+
+        // Glow: a blurred, uncolored shadow around everything drawn so far, twice for strength.
+        // The logo itself is drawn off-canvas with the shadow offset back into view, so only
+        // the shadow doubles up; the logo goes on top once (stacking it would thicken soft edges)
+        const glowCanvas = this.createCanvas(w, h);
+        const gctx = glowCanvas.getContext('2d');
+        gctx.shadowColor = config.glowColor;
+        gctx.shadowBlur = glow;
+        gctx.shadowOffsetX = w;
+        gctx.drawImage(canvas, -w, 0);
+        gctx.drawImage(canvas, -w, 0);
+        gctx.shadowColor = 'transparent';
+        gctx.drawImage(canvas, 0, 0);
+        return { image: glowCanvas, pad };
+    }
+
+    /**
+     * Create an empty canvas
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {HTMLCanvasElement} - New canvas
+     */
+    createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
     /**
      * Calculate logo size and position based on configuration
      * Maintains aspect ratio while scaling to specified percentage
@@ -165,73 +537,93 @@ export class BannerGenerator {
      * @returns {Object} - Object with x, y, width, height properties
      */
     calculateLogoPosition(config, img) {
+        return this.placeBox(config, config.logoPos, config.logoSizePct, img.width / img.height,
+            { x: config.logoX, y: config.logoY });
+    }
+
+    /**
+     * Size a box to a percentage of the banner and place it in a position slot
+     * @param {Object} config - Banner configuration (w, h)
+     * @param {string} pos - Slot from the 3x3 grid, e.g. 'left-top' or 'center'
+     * @param {number} sizePct - Maximum width and height as a percentage of the banner's
+     * @param {number} aspectRatio - Width / height of the box
+     * @param {Object} free - Free center { x, y } in % of the banner; used instead of the
+     *        slot when both are set
+     * @returns {Object} - Object with x, y, width, height properties
+     */
+    placeBox(config, pos, sizePct, aspectRatio, free = {}) {
         // Calculate maximum dimensions based on percentage
-        const scale = config.logoSizePct / 100;
+        const scale = sizePct / 100;
         const maxW = config.w * scale;
         const maxH = config.h * scale;
-        const aspectRatio = img.width / img.height;
 
-        // Scale logo to fit within max dimensions while preserving aspect ratio
-        let logoWidth, logoHeight;
+        // Scale box to fit within max dimensions while preserving aspect ratio
+        let boxWidth, boxHeight;
         if (maxW / aspectRatio <= maxH) {
             // Width is the limiting factor
-            logoWidth = maxW;
-            logoHeight = maxW / aspectRatio;
+            boxWidth = maxW;
+            boxHeight = maxW / aspectRatio;
         } else {
             // Height is the limiting factor
-            logoHeight = maxH;
-            logoWidth = maxH * aspectRatio;
+            boxHeight = maxH;
+            boxWidth = maxH * aspectRatio;
         }
 
         // Calculate position based on placement preference
         const pad = 20; // Padding from edges
         let x, y;
 
-        switch (config.logoPos) {
+        switch (pos) {
             // Top row positions
             case 'left-top': 
                 x = pad; 
                 y = pad; 
                 break;
             case 'top-middle': 
-                x = (config.w - logoWidth) / 2; 
+                x = (config.w - boxWidth) / 2; 
                 y = pad; 
                 break;
             case 'right-top': 
-                x = config.w - logoWidth - pad; 
+                x = config.w - boxWidth - pad; 
                 y = pad; 
                 break;
             
             // Middle row positions
             case 'left-middle': 
                 x = pad; 
-                y = (config.h - logoHeight) / 2; 
+                y = (config.h - boxHeight) / 2; 
                 break;
             case 'center': 
-                x = (config.w - logoWidth) / 2; 
-                y = (config.h - logoHeight) / 2; 
+                x = (config.w - boxWidth) / 2; 
+                y = (config.h - boxHeight) / 2; 
                 break;
             case 'right-middle': 
-                x = config.w - logoWidth - pad; 
-                y = (config.h - logoHeight) / 2; 
+                x = config.w - boxWidth - pad; 
+                y = (config.h - boxHeight) / 2; 
                 break;
             
             // Bottom row positions
             case 'left-bottom': 
                 x = pad; 
-                y = config.h - logoHeight - pad; 
+                y = config.h - boxHeight - pad; 
                 break;
             case 'bottom-middle': 
-                x = (config.w - logoWidth) / 2; 
-                y = config.h - logoHeight - pad; 
+                x = (config.w - boxWidth) / 2; 
+                y = config.h - boxHeight - pad; 
                 break;
             case 'right-bottom': 
-                x = config.w - logoWidth - pad; 
-                y = config.h - logoHeight - pad; 
+                x = config.w - boxWidth - pad; 
+                y = config.h - boxHeight - pad; 
                 break;
         }
 
-        return { x, y, width: logoWidth, height: logoHeight };
+        // A free position centers the box on its point
+        if (free.x != null && free.y != null) {
+            x = free.x * config.w / 100 - boxWidth / 2;
+            y = free.y * config.h / 100 - boxHeight / 2;
+        }
+
+        return { x, y, width: boxWidth, height: boxHeight };
     }
 
     /**
@@ -255,4 +647,57 @@ export class BannerGenerator {
     getDataURL() {
         return this.canvas ? this.canvas.toDataURL('image/png') : null;
     }
+
+    /**
+     * Encode the final banner as an image file
+     * JPEG has no transparency, so see-through areas are put on white first
+     * @param {string} format - 'png', 'jpeg' or 'webp'
+     * @param {number} quality - 1-100 (ignored for PNG)
+     * @returns {Promise<Blob>} - Encoded image
+     * @throws {Error} - If the browser can't encode the format
+     */
+    async encodeBanner(format, quality = 90) {
+        let canvas = this.canvas;
+        if (format === 'jpeg') {
+            canvas = this.createCanvas(this.canvas.width, this.canvas.height);
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(this.canvas, 0, 0);
+        }
+
+        const type = `image/${format}`;
+        const blob = await canvasToBlob(canvas, type, format === 'png' ? undefined : quality / 100);
+
+        // Browsers fall back to PNG for types they can't write (e.g. WebP in older Safari)
+        if (blob.type !== type) throw new Error(`This browser can't export ${format.toUpperCase()}`);
+        return blob;
+    }
+
+    /**
+     * Encode the final banner at the highest quality that fits a file size limit
+     * Binary search over quality 1-100 (7 encodes at most)
+     * @param {string} format - 'jpeg' or 'webp'
+     * @param {number} maxBytes - File size limit
+     * @returns {Promise<{blob: Blob, quality: number, fits: boolean}>} - Best fit, or the
+     *          lowest quality if even that is too large
+     */
+    async encodeBannerUnder(format, maxBytes) {
+        let low = 1;
+        let high = 100;
+        let best = null;
+
+        while (low <= high) {
+            const quality = Math.floor((low + high) / 2);
+            const blob = await this.encodeBanner(format, quality);
+            if (blob.size <= maxBytes) {
+                best = { blob, quality, fits: true };
+                low = quality + 1;
+            } else {
+                high = quality - 1;
+            }
+        }
+
+        return best || { blob: await this.encodeBanner(format, 1), quality: 1, fits: false };
+    }
 }
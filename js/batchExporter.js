@@ -0,0 +1,96 @@
+/**
+ * BATCH EXPORTER MODULE
+ *
+ * Renders the current design at several social and ad sizes in one go:
+ * - Size list for the common platforms (Facebook, LinkedIn, Twitter/X, Instagram,
+ *   YouTube, leaderboard)
+ * - Layout re-run per size: slots and free positions are relative, pixel sizes
+ *   (text, logo effects) scale with the banner area, text auto-fits its box
+ * - Images in the Step 3 format, bundled into a ZIP
+ */
+
+import { BannerGenerator } from './bannerGenerator.js';
+import { createZip } from './zipWriter.js';
+
+// Batch sizes; the id goes into the file name
+export const BATCH_SIZES = [
+    { id: 'facebook', label: 'Facebook', w: 1200, h: 630 },
+    { id: 'linkedin', label: 'LinkedIn', w: 1584, h: 396 },
+    { id: 'twitter', label: 'Twitter/X', w: 1500, h: 500 },
+    { id: 'instagram-post', label: 'Instagram post', w: 1080, h: 1080 },
+    { id: 'instagram-story', label: 'Instagram story', w: 1080, h: 1920 },
+    { id: 'youtube-banner', label: 'YouTube banner', w: 2560, h: 1440 },
+    { id: 'youtube-thumbnail', label: 'YouTube thumbnail', w: 1280, h: 720 },
+    { id: 'leaderboard', label: 'Leaderboard', w: 728, h: 90 }
+];
+
+/**
+ * Adapt the design to another banner size
+ * Positions are relative already; pixel sizes scale with the square root of the area
+ * ratio, and auto-fit shrinks text that still doesn't fit (e.g. on a leaderboard)
+ * @param {Object} config - Banner configuration
+ * @param {number} width - Target width in pixels
+ * @param {number} height - Target height in pixels
+ * @returns {Object} - Configuration for the target size
+ */
+export function resizeDesign(config, width, height) {
+    const k = Math.sqrt((width * height) / (config.w * config.h));
+    const px = (value) => Math.max(1, Math.round(value * k));
+    const effect = (value) => Math.round(value * k); // 0 stays off
+
+    return {
+        ...config,
+        w: width,
+        h: height,
+        fs: px(config.fs),
+        subFs: px(config.subFs),
+        textAutoFit: true,
+        shadowX: effect(config.shadowX),
+        shadowY: effect(config.shadowY),
+        shadowBlur: effect(config.shadowBlur),
+        outlineWidth: effect(config.outlineWidth),
+        glowSize: effect(config.glowSize),
+        layers: config.layers.map(layer => layer.type === 'text' && !layer.main
+            ? { ...layer, fontSize: px(layer.fontSize) }
+            : layer)
+    };
+}
+
+export class BatchExporter {
+    constructor() {
+        this.generator = new BannerGenerator();    // Own canvas, so the Step 3 banner is untouched
+        this.onProgress = null;                    // (size, index, total) before each size renders
+    }
+
+    /**
+     * Render the design at each size and pack the images into a ZIP
+     * Files are named banner-<size id>-<width>x<height>.<ext>
+     * @param {Object} config - Banner configuration (exportFormat/exportQuality pick the format)
+     * @param {string} vectorSVG - SVG content for the logo
+     * @param {string|null} uploadedBannerDataURL - Optional uploaded banner background
+     * @param {Array<Object>} sizes - Entries from BATCH_SIZES
+     * @returns {Promise<Blob>} - ZIP archive
+     * @throws {Error} - If no size is selected or the format can't be encoded
+     */
+    async exportSizes(config, vectorSVG, uploadedBannerDataURL, sizes) {
+        if (!sizes.length) {
+            throw new Error('Select at least one size');
+        }
+
+        const extension = config.exportFormat === 'jpeg' ? 'jpg' : config.exportFormat;
+        const files = [];
+
+        for (const [index, size] of sizes.entries()) {
+            if (this.onProgress) this.onProgress(size, index, sizes.length);
+
+            await this.generator.generateBanner(resizeDesign(config, size.w, size.h), vectorSVG, uploadedBannerDataURL);
+            const blob = await this.generator.encodeBanner(config.exportFormat, config.exportQuality);
+            files.push({
+                name: `banner-${size.id}-${size.w}x${size.h}.${extension}`,
+                data: new Uint8Array(await blob.arrayBuffer())
+            });
+        }
+
+        return createZip(files);
+    }
+}
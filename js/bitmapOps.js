@@ -0,0 +1,636 @@
+/**
+ * BITMAP OPERATIONS MODULE
+ *
+ * Pure pixel operations used to turn a logo into a black & white bitmap:
+ * - Background removal (edge flood fill)
+ * - Luminance extraction
+ * - Global thresholding (fixed cutoff or automatic Otsu)
+ * - Local adaptive thresholding (neighborhood contrast)
+ * - Bitmap cleanup: despeckle, fill small holes, grow/shrink
+ * - Content bounds detection (auto-trim) and cropping
+ * - Coverage comparison between the logo and its vector (fidelity report)
+ * - Round alpha dilation for logo outlines on banners
+ *
+ * Functions work on plain { width, height, data } pixel buffers and never touch the DOM.
+ */
+
+// Pixels below this alpha are treated as background
+const ALPHA_CUTOFF = 64;
+
+// Local contrast (max - min luminance) below which adaptive mode trusts the global cutoff
+const MIN_LOCAL_CONTRAST = 32;
+
+// Color distance from the edge color below which a pixel counts as background margin
+const TRIM_TOLERANCE = 40;
+
+/**
+ * Compute per-pixel luminance and visibility
+ * @param {ImageData} imageData - Source pixel data
+ * @returns {{lum: Uint8Array, opaque: Uint8Array}} - Luminance (0-255) and
+ *          1/0 visibility per pixel; transparent pixels read as white
+ */
+export function computeLuminance(imageData) {
+    const { data } = imageData;
+    const count = data.length / 4;
+    const lum = new Uint8Array(count);
+    const opaque = new Uint8Array(count);
+
+    for (let p = 0, i = 0; p < count; p++, i += 4) {
+        if (data[i + 3] < ALPHA_CUTOFF) {
+            lum[p] = 255; // Background reads as white
+            continue;
+        }
+        opaque[p] = 1;
+        lum[p] = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+    }
+
+    return { lum, opaque };
+}
+
+/**
+ * Find the global cutoff that best separates dark and light pixels (Otsu's method)
+ * Maximizes the between-class variance of the luminance histogram
+ * @param {Uint8Array} lum - Per-pixel luminance
+ * @param {Uint8Array} opaque - Per-pixel visibility (only visible pixels are counted)
+ * @returns {number} - Luminance cutoff (0-255); pixels below it are dark
+ */
+export function otsuThreshold(lum, opaque) {
+    const hist = new Array(256).fill(0);
+    let total = 0;
+    for (let p = 0; p < lum.length; p++) {
+        if (!opaque[p]) continue;
+        hist[lum[p]]++;
+        total++;
+    }
+    if (total === 0) return 128;
+
+    let sumAll = 0;
+    for (let t = 0; t < 256; t++) sumAll += t * hist[t];
+
+    let sumDark = 0, weightDark = 0;
+    let best = 128, bestVariance = -1;
+
+    for (let t = 0; t < 256; t++) {
+        weightDark += hist[t];
+        if (weightDark === 0) continue;
+        const weightLight = total - weightDark;
+        if (weightLight === 0) break;
+
+        sumDark += t * hist[t];
+        const meanDark = sumDark / weightDark;
+        const meanLight = (sumAll - sumDark) / weightLight;
+        const variance = weightDark * weightLight * (meanDark - meanLight) ** 2;
+
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            best = t + 1; // Cutoff sits just above the dark class
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Running minimum or maximum over a square window (separable, O(n) per pass)
+ * @param {Uint8Array} src - Per-pixel values
+ * @param {number} w - Image width
+ * @param {number} h - Image height
+ * @param {number} radius - Half window size in pixels
+ * @param {boolean} isMax - true for maximum, false for minimum
+ * @returns {Uint8Array} - Filtered values
+ */
+function windowExtreme(src, w, h, radius, isMax) {
+    const better = isMax ? (a, b) => a >= b : (a, b) => a <= b;
+
+    // One 1D pass along a line of `len` values spaced `step` apart
+    const pass = (input, output, start, len, step) => {
+        const queue = new Int32Array(len); // Indices of candidate extremes (monotonic deque)
+        let head = 0, tail = 0;
+
+        for (let i = 0; i < len + radius; i++) {
+            if (i < len) {
+                const v = input[start + i * step];
+                while (tail > head && better(v, input[start + queue[tail - 1] * step])) tail--;
+                queue[tail++] = i;
+            }
+            const center = i - radius;
+            if (center < 0) continue;
+            while (queue[head] < center - radius) head++;
+            output[start + center * step] = input[start + queue[head] * step];
+        }
+    };
+
+    const tmp = new Uint8Array(src.length);
+    const out = new Uint8Array(src.length);
+    for (let y = 0; y < h; y++) pass(src, tmp, y * w, w, 1);   // Rows
+    for (let x = 0; x < w; x++) pass(tmp, out, x, h, w);       // Columns
+    return out;
+}
+
+/**
+ * Convert pixels to a black & white bitmap
+ * @param {ImageData} imageData - Source pixel data
+ * @param {Object} options - Thresholding options
+ * @param {string} options.method - 'fixed' (use threshold), 'otsu' (automatic global)
+ *                                  or 'adaptive' (local neighborhood midpoint)
+ * @param {number} options.threshold - Fixed luminance cutoff (0-1), used by 'fixed'
+ * @param {boolean} options.invert - Treat light pixels as the logo (light-on-dark logos)
+ * @returns {{data: Uint8ClampedArray, width: number, height: number, threshold: number,
+ *           blockSize: number|null}} - Bitmap pixels plus the global cutoff (0-1) and
+ *           adaptive neighborhood size that were applied
+ */
+export function thresholdPixels(imageData, { method = 'fixed', threshold = 0.5, invert = false } = {}) {
+    const { width: w, height: h } = imageData;
+    const { lum, opaque } = computeLuminance(imageData);
+    const out = new Uint8ClampedArray(w * h * 4);
+
+    // Inverted logos are dark-on-light after flipping luminance
+    if (invert) {
+        for (let p = 0; p < lum.length; p++) {
+            if (opaque[p]) lum[p] = 255 - lum[p];
+        }
+    }
+
+    // Global cutoff: automatic (Otsu) or user supplied. Adaptive mode uses it for flat areas.
+    const cutoff = method === 'fixed' ? threshold * 255 : otsuThreshold(lum, opaque);
+
+    // Adaptive mode: darkest/lightest value around each pixel (~1/8 of the short side, odd, ≥15px)
+    let blockSize = null;
+    let localMin = null, localMax = null;
+    if (method === 'adaptive') {
+        blockSize = Math.max(15, Math.round(Math.min(w, h) / 8)) | 1;
+        localMin = windowExtreme(lum, w, h, blockSize >> 1, false);
+        localMax = windowExtreme(lum, w, h, blockSize >> 1, true);
+    }
+
+    for (let p = 0; p < lum.length; p++) {
+        let isBlack = false;
+
+        if (opaque[p]) {
+            if (localMin && localMax[p] - localMin[p] >= MIN_LOCAL_CONTRAST) {
+                // Edge neighborhood: split halfway between local dark and light (Bernsen)
+                isBlack = lum[p] < (localMin[p] + localMax[p]) / 2;
+            } else {
+                // Fixed/auto mode, or a flat neighborhood (solid fill, plain background)
+                isBlack = lum[p] < cutoff;
+            }
+        }
+
+        const v = isBlack ? 0 : 255;
+        const i = p * 4;
+        out[i] = out[i + 1] = out[i + 2] = v;
+        out[i + 3] = 255; // Always opaque
+    }
+
+    return { data: out, width: w, height: h, threshold: cutoff / 255, blockSize };
+}
+
+/**
+ * Make the background around a logo transparent
+ * Flood-fills inward from the image edges through every pixel whose color is within
+ * `tolerance` of the dominant edge color. Pixels just outside the tolerance band along
+ * the fill border get partial alpha so anti-aliased edges stay smooth.
+ * @param {ImageData} imageData - Source pixel data
+ * @param {number} tolerance - Allowed color distance, 0-100 (% of the RGB cube diagonal)
+ * @returns {{data: Uint8ClampedArray, width: number, height: number, removed: number,
+ *           background: Array<number>|null}} - Pixels with transparent background, number
+ *           of removed pixels and the detected background color
+ */
+export function removeBackground(imageData, tolerance = 15) {
+    const { width: w, height: h, data } = imageData;
+    const out = new Uint8ClampedArray(data);
+    const maxDist = (tolerance / 100) * 441.67; // 441.67 = black-to-white distance
+
+    const background = dominantEdgeColor(imageData);
+    if (!background) return { data: out, width: w, height: h, removed: 0, background: null };
+
+    // Distance of a pixel to the background color (transparent pixels always match)
+    const distance = (p) => {
+        const i = p * 4;
+        if (data[i + 3] < ALPHA_CUTOFF) return 0;
+        return Math.hypot(data[i] - background[0], data[i + 1] - background[1], data[i + 2] - background[2]);
+    };
+
+    const visited = new Uint8Array(w * h);
+    const stack = new Int32Array(w * h);
+    let top = 0;
+
+    // Seed the fill with every matching edge pixel
+    const seed = (p) => {
+        if (visited[p] || distance(p) > maxDist) return;
+        visited[p] = 1;
+        stack[top++] = p;
+    };
+    for (let x = 0; x < w; x++) {
+        seed(x);
+        seed((h - 1) * w + x);
+    }
+    for (let y = 0; y < h; y++) {
+        seed(y * w);
+        seed(y * w + w - 1);
+    }
+
+    // Grow through 4-connected neighbors that still match the background
+    let removed = 0;
+    while (top > 0) {
+        const p = stack[--top];
+        out[p * 4 + 3] = 0;
+        removed++;
+
+        const x = p % w;
+        if (x > 0) seed(p - 1);
+        if (x < w - 1) seed(p + 1);
+        if (p >= w) seed(p - w);
+        if (p < w * (h - 1)) seed(p + w);
+    }
+
+    // Feather: pixels touching the removed area fade out if they are close to the background
+    if (maxDist > 0) {
+        for (let p = 0; p < w * h; p++) {
+            if (visited[p]) continue;
+            const x = p % w;
+            const touches = (x > 0 && visited[p - 1]) || (x < w - 1 && visited[p + 1]) ||
+                (p >= w && visited[p - w]) || (p < w * (h - 1) && visited[p + w]);
+            if (!touches) continue;
+
+            const d = distance(p);
+            if (d < maxDist * 2) {
+                out[p * 4 + 3] = Math.round(data[p * 4 + 3] * (d - maxDist) / maxDist);
+            }
+        }
+    }
+
+    return { data: out, width: w, height: h, removed, background };
+}
+
+/**
+ * Find the most common opaque color along the image edges
+ * Colors are grouped coarsely (16 levels per channel) and the winning group is averaged
+ * @param {ImageData} imageData - Source pixel data
+ * @returns {Array<number>|null} - [r, g, b] background color, or null if edges are mostly transparent
+ */
+function dominantEdgeColor(imageData) {
+    const { width: w, height: h, data } = imageData;
+    const groups = new Map();
+    let transparent = 0;
+
+    const add = (p) => {
+        const i = p * 4;
+        if (data[i + 3] < ALPHA_CUTOFF) {
+            transparent++;
+            return;
+        }
+        const key = (data[i] >> 4) << 8 | (data[i + 1] >> 4) << 4 | (data[i + 2] >> 4);
+        const g = groups.get(key) || [0, 0, 0, 0];
+        g[0] += data[i];
+        g[1] += data[i + 1];
+        g[2] += data[i + 2];
+        g[3]++;
+        groups.set(key, g);
+    };
+    for (let x = 0; x < w; x++) {
+        add(x);
+        add((h - 1) * w + x);
+    }
+    for (let y = 1; y < h - 1; y++) {
+        add(y * w);
+        add(y * w + w - 1);
+    }
+
+    // Mostly transparent edges: the background is already gone
+    let opaque = 0;
+    for (const g of groups.values()) opaque += g[3];
+    if (transparent >= opaque) return null;
+
+    let best = null;
+    for (const g of groups.values()) {
+        if (!best || g[3] > best[3]) best = g;
+    }
+    return best ? [best[0] / best[3], best[1] / best[3], best[2] / best[3]] : null;
+}
+
+/**
+ * Find connected regions of pixels that share a mask value
+ * Ink regions use 8-connectivity and background regions 4-connectivity, so a
+ * diagonal ink bridge always separates the background on either side of it
+ * @param {{width: number, height: number, data: Uint8Array}} mask - Binary mask (1 = ink)
+ * @param {number} value - Mask value to group (1 = ink, 0 = background)
+ * @returns {{labels: Int32Array, sizes: Array<number>, touchesEdge: Array<boolean>}} -
+ *          Region index per pixel (-1 for other pixels), pixel count per region and
+ *          whether each region reaches the image border
+ */
+function connectedRegions(mask, value) {
+    const { width: w, height: h, data } = mask;
+    const labels = new Int32Array(w * h).fill(-1);
+    const stack = new Int32Array(w * h);
+    const sizes = [];
+    const touchesEdge = [];
+    const diagonal = value === 1;
+
+    for (let start = 0; start < w * h; start++) {
+        if (data[start] !== value || labels[start] !== -1) continue;
+
+        const region = sizes.length;
+        let size = 0, edge = false, top = 0;
+        labels[start] = region;
+        stack[top++] = start;
+
+        while (top > 0) {
+            const p = stack[--top];
+            const x = p % w, y = (p - x) / w;
+            size++;
+            if (x === 0 || y === 0 || x === w - 1 || y === h - 1) edge = true;
+
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (!dx && !dy) continue;
+                    if (dx && dy && !diagonal) continue;
+                    const nx = x + dx, ny = y + dy;
+                    if (nx < 0 || ny < 0 || nx >= w || ny >= h) continue;
+                    const n = ny * w + nx;
+                    if (data[n] !== value || labels[n] !== -1) continue;
+                    labels[n] = region;
+                    stack[top++] = n;
+                }
+            }
+        }
+
+        sizes.push(size);
+        touchesEdge.push(edge);
+    }
+
+    return { labels, sizes, touchesEdge };
+}
+
+/**
+ * Remove isolated ink specks (scan noise, JPEG artifacts)
+ * @param {{width: number, height: number, data: Uint8Array}} mask - Binary mask (1 = ink)
+ * @param {number} minSize - Ink regions with fewer pixels than this are erased
+ * @returns {{mask: Object, changed: number}} - Cleaned mask and number of pixels erased
+ */
+export function removeSpecks(mask, minSize) {
+    const { labels, sizes } = connectedRegions(mask, 1);
+    const data = new Uint8Array(mask.data);
+    let changed = 0;
+
+    for (let p = 0; p < data.length; p++) {
+        if (labels[p] !== -1 && sizes[labels[p]] < minSize) {
+            data[p] = 0;
+            changed++;
+        }
+    }
+
+    return { mask: { width: mask.width, height: mask.height, data }, changed };
+}
+
+/**
+ * Fill pinholes inside the ink
+ * Only enclosed background regions smaller than maxSize are filled, so real counters
+ * (the holes in "O", "A", ...) and the outer background are kept
+ * @param {{width: number, height: number, data: Uint8Array}} mask - Binary mask (1 = ink)
+ * @param {number} maxSize - Holes with fewer pixels than this are filled
+ * @returns {{mask: Object, changed: number}} - Cleaned mask and number of pixels filled
+ */
+export function fillHoles(mask, maxSize) {
+    const { labels, sizes, touchesEdge } = connectedRegions(mask, 0);
+    const data = new Uint8Array(mask.data);
+    let changed = 0;
+
+    for (let p = 0; p < data.length; p++) {
+        const region = labels[p];
+        if (region !== -1 && !touchesEdge[region] && sizes[region] < maxSize) {
+            data[p] = 1;
+            changed++;
+        }
+    }
+
+    return { mask: { width: mask.width, height: mask.height, data }, changed };
+}
+
+/**
+ * Grow (dilate) or shrink (erode) the ink by a number of pixels
+ * @param {{width: number, height: number, data: Uint8Array}} mask - Binary mask (1 = ink)
+ * @param {number} radius - Pixels to grow by; negative values shrink
+ * @returns {{mask: Object, changed: number}} - Resulting mask and number of pixels flipped
+ */
+export function growMask(mask, radius) {
+    const { width: w, height: h } = mask;
+    const data = radius === 0
+        ? new Uint8Array(mask.data)
+        : windowExtreme(mask.data, w, h, Math.abs(radius), radius > 0);
+
+    let changed = 0;
+    for (let p = 0; p < data.length; p++) {
+        if (data[p] !== mask.data[p]) changed++;
+    }
+
+    return { mask: { width: w, height: h, data }, changed };
+}
+
+/**
+ * Squared Euclidean distance transform of one line (Felzenszwalb & Huttenlocher)
+ * Lower envelope of the parabolas rooted at each sample, so it is O(n)
+ * @param {Float64Array} f - Squared distances in (first n values are read)
+ * @param {Float64Array} d - Squared distances out
+ * @param {number} n - Line length
+ * @param {Int32Array} v - Scratch: parabola roots (n values)
+ * @param {Float64Array} z - Scratch: envelope boundaries (n + 1 values)
+ */
+function distanceLine(f, d, n, v, z) {
+    const intersect = (q, p) => ((f[q] + q * q) - (f[p] + p * p)) / (2 * q - 2 * p);
+    let k = 0;
+    v[0] = 0;
+    z[0] = -Infinity;
+    z[1] = Infinity;
+
+    for (let q = 1; q < n; q++) {
+        let s = intersect(q, v[k]);
+        while (s <= z[k]) s = intersect(q, v[--k]);
+        v[++k] = q;
+        z[k] = s;
+        z[k + 1] = Infinity;
+    }
+
+    k = 0;
+    for (let q = 0; q < n; q++) {
+        while (z[k + 1] < q) k++;
+        d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+    }
+}
+
+/**
+ * Grow an alpha channel by a round brush (used for logo outlines)
+ * Works from the exact distance to the nearest solid pixel, so the cost doesn't
+ * depend on the radius; the new edge is anti-aliased over one pixel
+ * @param {Uint8ClampedArray} alpha - Alpha per pixel (0-255)
+ * @param {number} w - Image width
+ * @param {number} h - Image height
+ * @param {number} radius - Distance to grow by, in pixels
+ * @returns {Uint8ClampedArray} - Grown alpha per pixel
+ */
+export function dilateAlpha(alpha, w, h, radius) {
+    const FAR = 1e20; // No solid pixel on this line
+    const dist = new Float32Array(w * h);
+    for (let p = 0; p < dist.length; p++) dist[p] = alpha[p] >= 128 ? 0 : FAR;
+
+    // Rows, then columns over the row results: squared distance to the nearest solid pixel
+    const n = Math.max(w, h);
+    const f = new Float64Array(n);
+    const d = new Float64Array(n);
+    const v = new Int32Array(n);
+    const z = new Float64Array(n + 1);
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) f[x] = dist[y * w + x];
+        distanceLine(f, d, w, v, z);
+        for (let x = 0; x < w; x++) dist[y * w + x] = d[x];
+    }
+    for (let x = 0; x < w; x++) {
+        for (let y = 0; y < h; y++) f[y] = dist[y * w + x];
+        distanceLine(f, d, h, v, z);
+        for (let y = 0; y < h; y++) dist[y * w + x] = d[y];
+    }
+
+    // Solid pixel centers sit half a pixel inside the shape's edge
+    const out = new Uint8ClampedArray(w * h);
+    for (let p = 0; p < out.length; p++) {
+        const coverage = Math.min(1, Math.max(0, radius + 1 - Math.sqrt(dist[p])));
+        out[p] = Math.max(alpha[p], Math.round(coverage * 255));
+    }
+    return out;
+}
+
+/**
+ * Paint a binary mask as black ink on an opaque white bitmap
+ * @param {{width: number, height: number, data: Uint8Array}} mask - Binary mask (1 = ink)
+ * @returns {Uint8ClampedArray} - RGBA pixels
+ */
+export function maskToPixels(mask) {
+    const out = new Uint8ClampedArray(mask.width * mask.height * 4);
+    for (let p = 0, i = 0; p < mask.data.length; p++, i += 4) {
+        const v = mask.data[p] ? 0 : 255;
+        out[i] = out[i + 1] = out[i + 2] = v;
+        out[i + 3] = 255;
+    }
+    return out;
+}
+
+/**
+ * Find the bounding box of the logo content
+ * Margins are transparent pixels or, when the edges are opaque, pixels close to the
+ * dominant edge color (e.g. a white border around a JPEG logo)
+ * @param {ImageData} imageData - Source pixel data
+ * @param {number} padding - Extra margin around the content, % of its longer side
+ * @returns {{x: number, y: number, width: number, height: number}|null} - Crop rectangle
+ *          clamped to the image, or null if the image has no content
+ */
+export function contentBounds(imageData, padding = 0) {
+    const { width: w, height: h, data: content } = foregroundMask(imageData);
+
+    let minX = w, minY = h, maxX = -1, maxY = -1;
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            if (!content[y * w + x]) continue;
+
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+    }
+    if (maxX < 0) return null;
+
+    // Pad evenly on all sides, never past the image edges
+    const pad = Math.round(Math.max(maxX - minX + 1, maxY - minY + 1) * padding / 100);
+    const x = Math.max(0, minX - pad);
+    const y = Math.max(0, minY - pad);
+    return {
+        x,
+        y,
+        width: Math.min(w, maxX + 1 + pad) - x,
+        height: Math.min(h, maxY + 1 + pad) - y
+    };
+}
+
+/**
+ * Mark the pixels that belong to the logo rather than its background
+ * Background is transparent pixels or, when the edges are opaque, pixels close to the
+ * dominant edge color
+ * @param {ImageData} imageData - Source pixel data
+ * @returns {{width: number, height: number, data: Uint8Array}} - Mask (1 = logo)
+ */
+export function foregroundMask(imageData) {
+    const { width, height, data } = imageData;
+    const background = dominantEdgeColor(imageData);
+    const mask = new Uint8Array(width * height);
+
+    for (let p = 0, i = 0; p < mask.length; p++, i += 4) {
+        if (data[i + 3] < ALPHA_CUTOFF) continue;
+        if (background && Math.hypot(data[i] - background[0], data[i + 1] - background[1],
+            data[i + 2] - background[2]) < TRIM_TOLERANCE) continue;
+        mask[p] = 1;
+    }
+
+    return { width, height, data: mask };
+}
+
+/**
+ * Compare the logo's coverage with a rendering of its vector
+ * Paints a difference map: shared coverage gray, missing in the vector red,
+ * extra in the vector blue
+ * @param {ImageData} imageData - Processed logo pixels
+ * @param {ImageData} vectorData - Vector rasterized at the same size (any visible pixel counts)
+ * @returns {{data: Uint8ClampedArray, width: number, height: number, missing: number,
+ *           extra: number, mismatch: number, iou: number}} - Difference map, pixel counts,
+ *           mismatched share of all pixels (%) and intersection over union (0-1)
+ */
+export function compareCoverage(imageData, vectorData) {
+    const { width: w, height: h, data: logo } = foregroundMask(imageData);
+    const vector = vectorData.data;
+    const out = new Uint8ClampedArray(w * h * 4);
+    let shared = 0, missing = 0, extra = 0;
+
+    for (let p = 0, i = 0; p < logo.length; p++, i += 4) {
+        const inVector = vector[i + 3] >= 128;
+        let color;
+        if (logo[p] && inVector) {
+            shared++;
+            color = [209, 213, 219];    // Match: gray
+        } else if (logo[p]) {
+            missing++;
+            color = [239, 68, 68];      // Lost by the vector: red
+        } else if (inVector) {
+            extra++;
+            color = [59, 130, 246];     // Added by the vector: blue
+        } else {
+            color = [255, 255, 255];    // Background
+        }
+        out.set(color, i);
+        out[i + 3] = 255;
+    }
+
+    const union = shared + missing + extra;
+    return {
+        data: out,
+        width: w,
+        height: h,
+        missing,
+        extra,
+        mismatch: (missing + extra) / (w * h) * 100,
+        iou: union ? shared / union : 1
+    };
+}
+
+/**
+ * Copy a rectangle out of an image
+ * @param {ImageData} imageData - Source pixel data
+ * @param {{x: number, y: number, width: number, height: number}} rect - Area to keep
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} - Cropped pixels
+ */
+export function cropPixels(imageData, { x, y, width, height }) {
+    const out = new Uint8ClampedArray(width * height * 4);
+    for (let row = 0; row < height; row++) {
+        const start = ((y + row) * imageData.width + x) * 4;
+        out.set(imageData.data.subarray(start, start + width * 4), row * width * 4);
+    }
+    return { data: out, width, height };
+}
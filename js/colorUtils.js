@@ -0,0 +1,300 @@
+/**
+ * COLOR UTILITIES MODULE
+ *
+ * Color math shared by the logo pipeline:
+ * - Hex ↔ RGB and RGB → Lab conversion
+ * - Color quantization (reduce a logo to N representative colors)
+ * - Perceptual palette extraction
+ * - WCAG contrast ratios
+ */
+
+/**
+ * Convert a hex color to RGB components
+ * @param {string} hex - Hex color code (#RRGGBB)
+ * @returns {Array<number>} - [r, g, b] in the 0-255 range
+ */
+export function hexToRgb(hex) {
+    const n = parseInt(hex.replace('#', ''), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/**
+ * Convert RGB components to a hex color
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {string} - Hex color code (#rrggbb)
+ */
+export function rgbToHex(r, g, b) {
+    return '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Squared distance between two RGB colors
+ * @param {Array<number>} a - First [r, g, b] color
+ * @param {Array<number>} b - Second [r, g, b] color
+ * @returns {number} - Squared Euclidean distance
+ */
+function distanceSq(a, b) {
+    const dr = a[0] - b[0], dg = a[1] - b[1], db = a[2] - b[2];
+    return dr * dr + dg * dg + db * db;
+}
+
+/**
+ * Index of the palette color closest to a given color
+ * @param {Array<Array<number>>} palette - Palette of [r, g, b] colors
+ * @param {Array<number>} color - Color to match
+ * @returns {number} - Index into the palette
+ */
+function nearestIndex(palette, color) {
+    let best = 0, bestDist = Infinity;
+    palette.forEach((c, i) => {
+        const d = distanceSq(c, color);
+        if (d < bestDist) {
+            bestDist = d;
+            best = i;
+        }
+    });
+    return best;
+}
+
+/**
+ * Reduce an image to a fixed number of colors using k-means clustering
+ * Cluster centers are seeded by farthest-point selection so distinct brand colors
+ * each get their own cluster, and results are the same on every run.
+ * @param {ImageData} imageData - Pixel data to quantize
+ * @param {number} count - Number of colors to reduce to
+ * @returns {{palette: Array<Array<number>>, labels: Int16Array}} - Palette colors
+ *          and a per-pixel palette index (-1 for transparent pixels)
+ */
+export function quantizeColors(imageData, count) {
+    const { data } = imageData;
+    const pixelCount = data.length / 4;
+
+    // Sample opaque pixels (at most ~20k) to keep clustering fast
+    const step = Math.max(1, Math.floor(pixelCount / 20000));
+    const samples = [];
+    for (let p = 0; p < pixelCount; p += step) {
+        const i = p * 4;
+        if (data[i + 3] < 128) continue; // Skip transparent pixels
+        samples.push([data[i], data[i + 1], data[i + 2]]);
+    }
+
+    const labels = new Int16Array(pixelCount).fill(-1);
+    if (samples.length === 0) return { palette: [], labels };
+
+    // Seed: start with the first sample, then repeatedly add the sample farthest from all centers
+    const palette = [samples[0].slice()];
+    const minDist = samples.map(s => distanceSq(s, palette[0]));
+    while (palette.length < count) {
+        let far = 0;
+        for (let s = 1; s < samples.length; s++) {
+            if (minDist[s] > minDist[far]) far = s;
+        }
+        if (minDist[far] === 0) break; // Fewer distinct colors than requested
+        palette.push(samples[far].slice());
+        samples.forEach((s, idx) => {
+            minDist[idx] = Math.min(minDist[idx], distanceSq(s, samples[far]));
+        });
+    }
+
+    // Refine centers with a few k-means iterations
+    for (let iter = 0; iter < 10; iter++) {
+        const sums = palette.map(() => [0, 0, 0, 0]);
+        samples.forEach(s => {
+            const sum = sums[nearestIndex(palette, s)];
+            sum[0] += s[0];
+            sum[1] += s[1];
+            sum[2] += s[2];
+            sum[3]++;
+        });
+
+        let moved = false;
+        sums.forEach((sum, k) => {
+            if (!sum[3]) return; // Keep empty clusters where they are
+            const next = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+            if (distanceSq(next, palette[k]) > 0.25) moved = true;
+            palette[k] = next;
+        });
+        if (!moved) break;
+    }
+
+    // Assign every opaque pixel to its nearest palette color
+    for (let p = 0; p < pixelCount; p++) {
+        const i = p * 4;
+        if (data[i + 3] < 128) continue;
+        labels[p] = nearestIndex(palette, [data[i], data[i + 1], data[i + 2]]);
+    }
+
+    return { palette: palette.map(c => c.map(Math.round)), labels };
+}
+
+/**
+ * Convert an sRGB color to CIE L*a*b* (D65)
+ * Euclidean distance in Lab roughly matches perceived color difference (ΔE)
+ * @param {Array<number>} rgb - [r, g, b] in the 0-255 range
+ * @returns {Array<number>} - [L, a, b]
+ */
+export function rgbToLab([r, g, b]) {
+    // sRGB → linear light
+    const lin = (v) => {
+        v /= 255;
+        return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+    };
+    const [R, G, B] = [lin(r), lin(g), lin(b)];
+
+    // Linear RGB → XYZ, normalized by the D65 white point
+    const x = (0.4124 * R + 0.3576 * G + 0.1805 * B) / 0.95047;
+    const y = 0.2126 * R + 0.7152 * G + 0.0722 * B;
+    const z = (0.0193 * R + 0.1192 * G + 0.9505 * B) / 1.08883;
+
+    const f = (t) => t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+    const [fx, fy, fz] = [f(x), f(y), f(z)];
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Extract the main perceptually distinct colors of an image
+ * Colors are grouped into fine RGB buckets, clustered with weighted k-means in Lab
+ * space, and clusters closer than a just-noticeable difference are merged.
+ * @param {ImageData} imageData - Pixel data to analyze
+ * @param {number} count - Maximum number of colors to return (5-8 works well)
+ * @returns {Array<{hex: string, rgb: Array<number>, share: number}>} - Colors sorted by
+ *          share of visible pixels (0-1), most common first
+ */
+export function extractPalette(imageData, count = 6) {
+    const { data } = imageData;
+
+    // Bucket visible pixels by 5 bits per channel
+    const buckets = new Map();
+    let total = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) continue; // Skip transparent pixels
+        const key = (data[i] >> 3) << 10 | (data[i + 1] >> 3) << 5 | (data[i + 2] >> 3);
+        const bucket = buckets.get(key) || { sum: [0, 0, 0], weight: 0 };
+        bucket.sum[0] += data[i];
+        bucket.sum[1] += data[i + 1];
+        bucket.sum[2] += data[i + 2];
+        bucket.weight++;
+        buckets.set(key, bucket);
+        total++;
+    }
+    if (total === 0) return [];
+
+    // Ignore rare buckets (anti-aliasing, JPEG noise) when there are enough others
+    let points = [...buckets.values()].map(b => {
+        const rgb = b.sum.map(v => v / b.weight);
+        return { rgb, lab: rgbToLab(rgb), weight: b.weight };
+    });
+    const common = points.filter(p => p.weight >= total * 0.002);
+    if (common.length >= count) points = common;
+
+    // Seed with the most common color, then the farthest remaining colors
+    points.sort((a, b) => b.weight - a.weight);
+    const k = Math.min(points.length, count + 2); // A few spare clusters to merge later
+    const centers = [points[0].lab.slice()];
+    const minDist = points.map(p => labDistanceSq(p.lab, centers[0]));
+    while (centers.length < k) {
+        let far = 0;
+        points.forEach((p, idx) => {
+            if (minDist[idx] > minDist[far]) far = idx;
+        });
+        if (minDist[far] === 0) break;
+        centers.push(points[far].lab.slice());
+        points.forEach((p, idx) => {
+            minDist[idx] = Math.min(minDist[idx], labDistanceSq(p.lab, points[far].lab));
+        });
+    }
+
+    // Weighted k-means in Lab space
+    let clusters = [];
+    for (let iter = 0; iter < 12; iter++) {
+        clusters = centers.map(() => ({ lab: [0, 0, 0], rgb: [0, 0, 0], weight: 0 }));
+        points.forEach(p => {
+            const c = clusters[nearestLab(centers, p.lab)];
+            for (let j = 0; j < 3; j++) {
+                c.lab[j] += p.lab[j] * p.weight;
+                c.rgb[j] += p.rgb[j] * p.weight;
+            }
+            c.weight += p.weight;
+        });
+        clusters.forEach((c, idx) => {
+            if (c.weight) centers[idx] = c.lab.map(v => v / c.weight);
+        });
+    }
+    clusters = clusters
+        .filter(c => c.weight > 0)
+        .map(c => ({ lab: c.lab.map(v => v / c.weight), rgb: c.rgb.map(v => v / c.weight), weight: c.weight }))
+        .sort((a, b) => b.weight - a.weight);
+
+    // Merge clusters that are barely distinguishable (ΔE < 10) into the larger one
+    const merged = [];
+    clusters.forEach(c => {
+        const twin = merged.find(m => labDistanceSq(m.lab, c.lab) < 100);
+        if (twin) {
+            twin.weight += c.weight;
+        } else {
+            merged.push(c);
+        }
+    });
+
+    return merged.slice(0, count).map(c => ({
+        hex: rgbToHex(...c.rgb),
+        rgb: c.rgb.map(Math.round),
+        share: c.weight / total
+    }));
+}
+
+/**
+ * Squared ΔE (CIE76) between two Lab colors
+ * @param {Array<number>} a - First [L, a, b] color
+ * @param {Array<number>} b - Second [L, a, b] color
+ * @returns {number} - Squared distance
+ */
+function labDistanceSq(a, b) {
+    return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+}
+
+/**
+ * Index of the Lab center closest to a color
+ * @param {Array<Array<number>>} centers - Lab cluster centers
+ * @param {Array<number>} lab - Lab color to match
+ * @returns {number} - Index into centers
+ */
+function nearestLab(centers, lab) {
+    let best = 0, bestDist = Infinity;
+    centers.forEach((c, i) => {
+        const d = labDistanceSq(c, lab);
+        if (d < bestDist) {
+            bestDist = d;
+            best = i;
+        }
+    });
+    return best;
+}
+
+/**
+ * WCAG relative luminance of a color
+ * @param {string} hex - Hex color code
+ * @returns {number} - Relative luminance (0 = black, 1 = white)
+ */
+export function relativeLuminance(hex) {
+    const [r, g, b] = hexToRgb(hex).map(v => {
+        v /= 255;
+        return v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two colors
+ * @param {string} hexA - First hex color
+ * @param {string} hexB - Second hex color
+ * @returns {number} - Contrast ratio from 1 (none) to 21 (black on white)
+ */
+export function contrastRatio(hexA, hexB) {
+    const la = relativeLuminance(hexA);
+    const lb = relativeLuminance(hexB);
+    return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
@@ -0,0 +1,274 @@
+/**
+ * CSV BULK MODULE
+ *
+ * One banner per CSV row from a single design:
+ * - CSV parsing (quoted fields, comma, semicolon or tab separated)
+ * - {{column}} placeholders in the headline, subtitle and text layers
+ * - Per-row overrides from known columns: colors, banner size and logo position
+ * - Thumbnails for review and a ZIP with files named by a chosen column
+ */
+
+import { BannerGenerator } from './bannerGenerator.js';
+import { resizeDesign } from './batchExporter.js';
+import { createZip } from './zipWriter.js';
+import { validateHexColor } from './utils.js';
+
+const MAX_ROWS = 200;           // Every row is kept as an encoded image until download
+const THUMBNAIL_WIDTH = 320;
+
+// Override columns by normalized header (lowercase letters and digits only) -> config key
+const OVERRIDE_COLUMNS = {
+    bg: 'bg', background: 'bg', backgroundcolor: 'bg',
+    grad: 'grad', gradient: 'grad', gradientcolor: 'grad',
+    tcol: 'tcol', textcolor: 'tcol',
+    subcol: 'subCol', subtitlecolor: 'subCol',
+    w: 'w', width: 'w',
+    h: 'h', height: 'h',
+    size: 'size',
+    logopos: 'logoPos', logoposition: 'logoPos'
+};
+
+// Logo slots accepted in the logo position column ('Left Top' works as well as 'left-top')
+const LOGO_SLOTS = [
+    'left-top', 'top-middle', 'right-top', 'left-middle', 'center',
+    'right-middle', 'left-bottom', 'bottom-middle', 'right-bottom'
+];
+
+/**
+ * Parse CSV text into named rows
+ * The first line holds the column names; the separator is whichever of comma,
+ * semicolon or tab appears most in it
+ * @param {string} text - CSV file content
+ * @returns {{columns: Array<string>, rows: Array<Object<string, string>>}} - Columns and
+ *          rows keyed by column name (missing cells are empty strings)
+ * @throws {Error} - If there is no data row or too many rows
+ */
+export function parseCSV(text) {
+    text = text.replace(/^\uFEFF/, ''); // Byte order mark from spreadsheet exports
+
+    const header = text.slice(0, text.search(/\r?\n|$/));
+    const separator = [',', ';', '\t']
+        .map(char => [char, header.split(char).length])
+        .sort((a, b) => b[1] - a[1])[0][0];
+
+    // Split into records of fields; quotes may contain separators, line breaks and "" escapes
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === separator) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            records.push([...record, field]);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    records.push([...record, field]);
+
+    // Drop blank lines, then name the columns (empty or repeated names get a number)
+    const [names = [], ...data] = records.filter(fields => fields.some(value => value.trim()));
+    const columns = [];
+    names.forEach((name, i) => {
+        name = name.trim() || `column ${i + 1}`;
+        columns.push(columns.includes(name) ? `${name} ${i + 1}` : name);
+    });
+
+    if (!data.length) {
+        throw new Error('The CSV needs a header line and at least one row');
+    }
+    if (data.length > MAX_ROWS) {
+        throw new Error(`The CSV has ${data.length} rows - the limit is ${MAX_ROWS}`);
+    }
+
+    const rows = data.map(fields => Object.fromEntries(columns.map((column, i) => [column, (fields[i] || '').trim()])));
+    return { columns, rows };
+}
+
+/**
+ * Replace {{column}} placeholders with a row's values
+ * Column names match case-insensitively; unknown placeholders are left as typed so
+ * they show up in the thumbnails
+ * @param {string} text - Text with placeholders
+ * @param {Object<string, string>} row - Row values by column
+ * @returns {string} - Filled text
+ */
+export function fillPlaceholders(text, row) {
+    return text.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (placeholder, name) => {
+        const column = Object.keys(row).find(key => key.toLowerCase() === name.toLowerCase());
+        return column === undefined ? placeholder : row[column];
+    });
+}
+
+/**
+ * Read the override columns of a row
+ * Empty cells keep the design's value; invalid values are ignored
+ * @param {Object<string, string>} row - Row values by column
+ * @returns {Object} - Config values (bg, grad, tcol, subCol, w, h, logoPos)
+ */
+function readOverrides(row) {
+    const overrides = {};
+
+    for (const [column, value] of Object.entries(row)) {
+        const key = OVERRIDE_COLUMNS[column.toLowerCase().replace(/[^a-z0-9]/g, '')];
+        if (!key || !value) continue;
+
+        if (key === 'w' || key === 'h') {
+            if (+value > 0) overrides[key] = Math.round(+value);
+        } else if (key === 'size') {
+            // "1200x630" or "1200×630"
+            const match = value.match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+            if (match) Object.assign(overrides, { w: +match[1], h: +match[2] });
+        } else if (key === 'logoPos') {
+            const slot = value.toLowerCase().replace(/[\s_]+/g, '-');
+            if (LOGO_SLOTS.includes(slot)) overrides.logoPos = slot;
+        } else {
+            const color = validateHexColor(value);
+            if (color) overrides[key] = color;
+        }
+    }
+
+    // Same limits as the width and height inputs
+    if (overrides.w) overrides.w = Math.min(3000, Math.max(200, overrides.w));
+    if (overrides.h) overrides.h = Math.min(2000, Math.max(100, overrides.h));
+    return overrides;
+}
+
+/**
+ * Build the banner configuration for one row
+ * A different size re-runs the layout like the batch sizes do
+ * @param {Object} config - Banner configuration with placeholders
+ * @param {Object<string, string>} row - Row values by column
+ * @returns {Object} - Configuration for the row
+ */
+export function rowConfig(config, row) {
+    const { w = config.w, h = config.h, ...overrides } = readOverrides(row);
+
+    let result = {
+        ...config,
+        text: fillPlaceholders(config.text, row),
+        subtitle: fillPlaceholders(config.subtitle, row),
+        layers: config.layers.map(layer => layer.type === 'text' && !layer.main
+            ? { ...layer, text: fillPlaceholders(layer.text, row) }
+            : layer)
+    };
+    if (w !== config.w || h !== config.h) result = resizeDesign(result, w, h);
+    Object.assign(result, overrides);
+
+    // A logo position from the row replaces a position dragged on the preview
+    if (overrides.logoPos) {
+        result.logoX = null;
+        result.logoY = null;
+    }
+    return result;
+}
+
+/**
+ * File names for the rows from one column's values
+ * Values are reduced to lowercase letters, digits and dashes; empty values fall back
+ * to the row number and repeats get a counter
+ * @param {Array<Object<string, string>>} rows - Rows
+ * @param {string} column - Column to name the files by
+ * @returns {Array<string>} - Names without extension, one per row
+ */
+export function rowFileNames(rows, column) {
+    const used = new Set();
+
+    return rows.map((row, i) => {
+        const base = (row[column] || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '') // Accents
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || `row-${i + 1}`;
+
+        let name = base;
+        for (let n = 2; used.has(name); n++) name = `${base}-${n}`;
+        used.add(name);
+        return name;
+    });
+}
+
+export class BulkGenerator {
+    constructor() {
+        this.generator = new BannerGenerator();
+        this.onProgress = null; // (index, total) before each row renders
+    }
+
+    /**
+     * Render and encode one banner per row
+     * @param {Object} config - Banner configuration (exportFormat/exportQuality pick the format)
+     * @param {string} vectorSVG - SVG content for the logo
+     * @param {string|null} uploadedBannerDataURL - Optional uploaded banner background
+     * @param {Array<Object<string, string>>} rows - Rows from parseCSV
+     * @returns {Promise<Array<{blob: Blob, thumbnail: string, width: number, height: number}>>} -
+     *          Encoded banner and a small PNG preview per row
+     * @throws {Error} - If the format can't be encoded
+     */
+    async renderRows(config, vectorSVG, uploadedBannerDataURL, rows) {
+        const results = [];
+
+        for (const [index, row] of rows.entries()) {
+            if (this.onProgress) this.onProgress(index, rows.length);
+
+            const canvas = await this.generator.generateBanner(rowConfig(config, row), vectorSVG, uploadedBannerDataURL);
+            results.push({
+                blob: await this.generator.encodeBanner(config.exportFormat, config.exportQuality),
+                thumbnail: this.createThumbnail(canvas),
+                width: canvas.width,
+                height: canvas.height
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Scale a banner down for the review grid
+     * @param {HTMLCanvasElement} canvas - Rendered banner
+     * @returns {string} - PNG data URL
+     */
+    createThumbnail(canvas) {
+        const scale = Math.min(1, THUMBNAIL_WIDTH / canvas.width);
+        const thumbnail = this.generator.createCanvas(
+            Math.round(canvas.width * scale),
+            Math.round(canvas.height * scale)
+        );
+        thumbnail.getContext('2d').drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+        return thumbnail.toDataURL('image/png');
+    }
+
+    /**
+     * Pack rendered rows into a ZIP
+     * @param {Array<Object>} results - From renderRows
+     * @param {Array<string>} names - From rowFileNames
+     * @param {string} format - 'png', 'jpeg' or 'webp'
+     * @returns {Promise<Blob>} - ZIP archive
+     */
+    async packRows(results, names, format) {
+        const extension = format === 'jpeg' ? 'jpg' : format;
+        const files = [];
+        for (const [i, result] of results.entries()) {
+            files.push({ name: `${names[i]}.${extension}`, data: new Uint8Array(await result.blob.arrayBuffer()) });
+        }
+        return createZip(files);
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * FONT MANAGER MODULE
+ *
+ * Brand fonts for banner text:
+ * - Loads uploaded TTF/OTF/WOFF/WOFF2 files with the FontFace API
+ * - Derives family, weight and style from file names like "Brand-BoldItalic.woff2"
+ * - Builds canvas font strings
+ */
+
+// Weight keywords used as style suffixes in font file names
+const WEIGHT_NAMES = {
+    thin: 100, hairline: 100, extralight: 200, ultralight: 200, light: 300,
+    regular: 400, normal: 400, book: 400, medium: 500, semibold: 600, demibold: 600,
+    bold: 700, extrabold: 800, ultrabold: 800, black: 900, heavy: 900
+};
+
+const FONT_FILE = /\.(ttf|otf|woff2?)$/i;
+
+/**
+ * Work out family, weight and style from a font file name
+ * The part after the last "-" or "_" is read as the style when it names one
+ * ("Inter-SemiBoldItalic" → Inter 600 italic, "Open-Sans" → Open Sans 400)
+ * @param {string} fileName - Font file name
+ * @returns {{family: string, weight: number, style: string}} - FontFace descriptors
+ */
+export function parseFontName(fileName) {
+    const name = fileName.replace(FONT_FILE, '');
+    let family = name;
+    let weight = 400;
+    let style = 'normal';
+
+    const split = name.search(/[-_][^-_]*$/);
+    if (split > 0) {
+        const suffix = name.slice(split + 1).toLowerCase();
+        const italic = /(italic|oblique)$/.test(suffix);
+        const weightName = suffix.replace(/(italic|oblique)$/, '');
+
+        if (Object.hasOwn(WEIGHT_NAMES, weightName) || (italic && !weightName)) {
+            family = name.slice(0, split);
+            weight = WEIGHT_NAMES[weightName] || 400;
+            style = italic ? 'italic' : 'normal';
+        }
+    }
+
+    // "Brand_Sans" → "Brand Sans"; quotes would break the CSS font string
+    family = family.replace(/["']/g, '').replace(/[-_\s]+/g, ' ').trim() || 'Custom Font';
+    return { family, weight, style };
+}
+
+/**
+ * Build a canvas font string
+ * @param {Object} font - Font settings
+ * @param {string} font.family - Family name
+ * @param {number} font.weight - 100-900
+ * @param {boolean} font.italic - Italic style
+ * @param {number} size - Size in pixels
+ * @returns {string} - CSS font shorthand, e.g. 'italic 700 36px "Brand", sans-serif'
+ */
+export function fontString({ family, weight, italic }, size) {
+    return `${italic ? 'italic ' : ''}${weight} ${size}px "${family}", sans-serif`;
+}
+
+export class FontManager {
+    constructor() {
+        this.families = new Set();  // Uploaded family names
+    }
+
+    /**
+     * Load an uploaded font file and register it with the document
+     * @param {File} file - TTF, OTF, WOFF or WOFF2 file
+     * @returns {Promise<{family: string, weight: number, style: string}>} - Registered face
+     * @throws {Error} - If the file is not a font or can't be decoded
+     */
+    async loadFontFile(file) {
+        if (!FONT_FILE.test(file.name)) {
+            throw new Error('Please upload a TTF, OTF, WOFF or WOFF2 font');
+        }
+
+        const { family, weight, style } = parseFontName(file.name);
+        const face = new FontFace(family, await file.arrayBuffer(), { weight: String(weight), style });
+
+        try {
+            await face.load();
+        } catch (error) {
+            throw new Error(`${file.name} could not be read as a font`);
+        }
+
+        document.fonts.add(face);
+        this.families.add(family);
+        return { family, weight, style };
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * HISTORY MODULE
+ *
+ * Undo/redo stack of application snapshots:
+ * - Linear history: recording after an undo drops the redo branch
+ * - Snapshots share unchanged data URLs and masks by reference
+ * - Oldest entries are dropped past an entry count or memory budget
+ */
+
+/**
+ * Estimate the memory held by a set of snapshots
+ * Strings and typed arrays referenced by several snapshots are counted once
+ * @param {Array<Object>} entries - Snapshots
+ * @returns {number} - Approximate size in bytes
+ */
+function estimateBytes(entries) {
+    const seen = new Set();
+    let bytes = 0;
+
+    const visit = (value) => {
+        if (typeof value === 'string') {
+            // Short strings are cheap and often equal by value - only count large ones
+            if (value.length < 1024 || seen.has(value)) return;
+            seen.add(value);
+            bytes += value.length * 2;
+        } else if (ArrayBuffer.isView(value)) {
+            if (seen.has(value.buffer)) return;
+            seen.add(value.buffer);
+            bytes += value.buffer.byteLength;
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(visit);
+        }
+    };
+
+    entries.forEach(visit);
+    return bytes;
+}
+
+export class History {
+    /**
+     * @param {Object} options - Limits
+     * @param {number} options.limit - Maximum number of snapshots kept
+     * @param {number} options.maxBytes - Memory budget for all snapshots
+     */
+    constructor({ limit = 50, maxBytes = 64 * 1024 * 1024 } = {}) {
+        this.limit = limit;
+        this.maxBytes = maxBytes;
+        this.entries = [];      // Snapshots, oldest first
+        this.index = -1;        // Position of the current snapshot
+    }
+
+    /**
+     * The snapshot matching what is on screen
+     * @returns {Object|null}
+     */
+    get current() {
+        return this.entries[this.index] || null;
+    }
+
+    /**
+     * @returns {boolean} - Whether there is an older snapshot
+     */
+    get canUndo() {
+        return this.index > 0;
+    }
+
+    /**
+     * @returns {boolean} - Whether an undone snapshot can be re-applied
+     */
+    get canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    /**
+     * Record a new snapshot as the current one
+     * @param {Object} snapshot - Application state (treated as immutable)
+     */
+    push(snapshot) {
+        this.entries.splice(this.index + 1);
+        this.entries.push(snapshot);
+        this.index = this.entries.length - 1;
+        this.trim();
+    }
+
+    /**
+     * Step back one snapshot
+     * @returns {Object|null} - Snapshot to restore, or null at the oldest one
+     */
+    undo() {
+        if (!this.canUndo) return null;
+        return this.entries[--this.index];
+    }
+
+    /**
+     * Step forward one snapshot
+     * @returns {Object|null} - Snapshot to restore, or null at the newest one
+     */
+    redo() {
+        if (!this.canRedo) return null;
+        return this.entries[++this.index];
+    }
+
+    /**
+     * Drop the oldest snapshots until the limits are met (the current one always stays)
+     */
+    trim() {
+        while (this.index > 0 &&
+            (this.entries.length > this.limit || estimateBytes(this.entries) > this.maxBytes)) {
+            this.entries.shift();
+            this.index--;
+        }
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * ICON EXPORTER MODULE
+ *
+ * Generates a favicon / app-icon pack from the vector logo:
+ * - Multi-resolution favicon.ico plus 16/32/48px PNGs
+ * - 180px apple-touch-icon on a solid background
+ * - Android 192/512px icons, plus maskable ones with the logo inside the safe circle
+ * - site.webmanifest and <head> snippets
+ * Everything is bundled into a single ZIP built in the browser.
+ */
+
+import { svgToImage, canvasToBlob } from './utils.js';
+import { readSVGSize } from './svgSanitizer.js';
+import { createZip } from './zipWriter.js';
+
+export class IconExporter {
+    /**
+     * Render the logo centered on a square canvas
+     * @param {string} svg - Logo SVG markup
+     * @param {number} size - Icon size in pixels
+     * @param {Object} options - Rendering options
+     * @param {number} options.padding - Empty margin on each side, as a fraction of size
+     * @param {number|null} options.safeRadius - Fit the whole logo inside a centered circle
+     *        of this radius (fraction of size) instead of the padded box
+     * @param {string|null} options.background - Solid fill color, or null for transparent
+     * @returns {Promise<HTMLCanvasElement>} - Rendered icon
+     */
+    async renderIcon(svg, size, { padding = 0, safeRadius = null, background = null } = {}) {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        canvas.width = size;
+        canvas.height = size;
+
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, size, size);
+        }
+
+        // Fit the logo inside the padded box (or its corners inside the circle), keeping its aspect ratio
+        const { width, height } = readSVGSize(svg);
+        const box = size * (1 - padding * 2);
+        const scale = safeRadius
+            ? 2 * safeRadius * size / Math.hypot(width, height)
+            : Math.min(box / width, box / height);
+        const w = Math.max(1, Math.round(width * scale));
+        const h = Math.max(1, Math.round(height * scale));
+
+        // Rasterize the vector directly at the target size for crisp small icons
+        const img = await svgToImage(svg, w, h);
+        ctx.drawImage(img, Math.round((size - w) / 2), Math.round((size - h) / 2), w, h);
+
+        return canvas;
+    }
+
+    /**
+     * Render an icon and encode it as PNG bytes
+     * @param {string} svg - Logo SVG markup
+     * @param {number} size - Icon size in pixels
+     * @param {Object} options - See renderIcon
+     * @returns {Promise<Uint8Array>} - PNG file contents
+     */
+    async renderPNG(svg, size, options) {
+        const canvas = await this.renderIcon(svg, size, options);
+        const blob = await canvasToBlob(canvas, 'image/png');
+        return new Uint8Array(await blob.arrayBuffer());
+    }
+
+    /**
+     * Pack PNG images into a multi-resolution ICO file
+     * Uses PNG-compressed entries, supported by all current browsers and Windows Vista+
+     * @param {Array<{size: number, png: Uint8Array}>} images - Square PNG images
+     * @returns {Uint8Array} - ICO file contents
+     */
+    encodeICO(images) {
+        const headerSize = 6 + images.length * 16;
+        const total = headerSize + images.reduce((sum, img) => sum + img.png.length, 0);
+        const bytes = new Uint8Array(total);
+        const view = new DataView(bytes.buffer);
+
+        // ICONDIR header
+        view.setUint16(0, 0, true);                 // Reserved
+        view.setUint16(2, 1, true);                 // Type: icon
+        view.setUint16(4, images.length, true);     // Image count
+
+        let offset = headerSize;
+        images.forEach((img, i) => {
+            // ICONDIRENTRY (0 means 256px)
+            const entry = 6 + i * 16;
+            view.setUint8(entry, img.size >= 256 ? 0 : img.size);      // Width
+            view.setUint8(entry + 1, img.size >= 256 ? 0 : img.size);  // Height
+            view.setUint8(entry + 2, 0);                                // Palette colors
+            view.setUint8(entry + 3, 0);                                // Reserved
+            view.setUint16(entry + 4, 1, true);                         // Color planes
+            view.setUint16(entry + 6, 32, true);                        // Bits per pixel
+            view.setUint32(entry + 8, img.png.length, true);            // Data size
+            view.setUint32(entry + 12, offset, true);                   // Data offset
+
+            bytes.set(img.png, offset);
+            offset += img.png.length;
+        });
+
+        return bytes;
+    }
+
+    /**
+     * Build the complete icon pack as a ZIP archive
+     * @param {string} svg - Logo SVG markup
+     * @param {Object} options - Pack options
+     * @param {string} options.background - Background color for touch and Android icons
+     * @param {string} options.name - App name for the web manifest
+     * @returns {Promise<Blob>} - ZIP archive
+     */
+    async createIconPack(svg, { background = '#ffffff', name = 'My App' } = {}) {
+        // Browser favicons: transparent, small margin so the mark isn't clipped
+        const favicons = [];
+        for (const size of [16, 32, 48]) {
+            favicons.push({ size, png: await this.renderPNG(svg, size, { padding: 0.04 }) });
+        }
+
+        // Touch and Android icons are shown on a solid tile
+        const appleTouch = await this.renderPNG(svg, 180, { padding: 0.1, background });
+        const android192 = await this.renderPNG(svg, 192, { padding: 0.1, background });
+        const android512 = await this.renderPNG(svg, 512, { padding: 0.1, background });
+
+        // Launchers may cut maskable icons down to the centered circle with 40% radius,
+        // so the logo's corners have to stay inside it
+        const maskable192 = await this.renderPNG(svg, 192, { safeRadius: 0.4, background });
+        const maskable512 = await this.renderPNG(svg, 512, { safeRadius: 0.4, background });
+
+        const manifest = {
+            name,
+            short_name: name,
+            icons: [
+                { src: '/android-chrome-192x192.png', sizes: '192x192', type: 'image/png', purpose: 'any' },
+                { src: '/android-chrome-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'any' },
+                { src: '/maskable-icon-192x192.png', sizes: '192x192', type: 'image/png', purpose: 'maskable' },
+                { src: '/maskable-icon-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' }
+            ],
+            theme_color: background,
+            background_color: background,
+            display: 'standalone'
+        };
+
+        const headSnippet = [
+            '<link rel="icon" href="/favicon.ico" sizes="48x48">',
+            '<link rel="icon" type="image/png" sizes="32x32" href="/favicon-32x32.png">',
+            '<link rel="icon" type="image/png" sizes="16x16" href="/favicon-16x16.png">',
+            '<link rel="apple-touch-icon" sizes="180x180" href="/apple-touch-icon.png">',
+            '<link rel="manifest" href="/site.webmanifest">',
+            `<meta name="theme-color" content="${background}">`
+        ].join('\n');
+
+        return createZip([
+            { name: 'favicon.ico', data: this.encodeICO(favicons) },
+            ...favicons.map(f => ({ name: `favicon-${f.size}x${f.size}.png`, data: f.png })),
+            { name: 'apple-touch-icon.png', data: appleTouch },
+            { name: 'android-chrome-192x192.png', data: android192 },
+            { name: 'android-chrome-512x512.png', data: android512 },
+            { name: 'maskable-icon-192x192.png', data: maskable192 },
+            { name: 'maskable-icon-512x512.png', data: maskable512 },
+            { name: 'site.webmanifest', data: JSON.stringify(manifest, null, 2) },
+            { name: 'head-snippet.html', data: headSnippet + '\n' }
+        ]);
+    }
+}
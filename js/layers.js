@@ -0,0 +1,124 @@
+/**
+ * LAYERS MODULE
+ *
+ * Ordered layer stack for banner composition:
+ * - Layer types: background, image, logo, text and shape
+ * - Main layers render the design from the Step 2 controls; added layers carry
+ *   their own position slot, size and content
+ * - Stack operations (add, duplicate, move, delete)
+ * - Image store so large data URLs stay out of the config (and undo snapshots)
+ */
+
+// Display names by layer type
+export const LAYER_TYPES = {
+    background: 'Background',
+    image: 'Image',
+    logo: 'Logo',
+    text: 'Text',
+    shape: 'Shape'
+};
+
+// Defaults for added layers, by type
+const LAYER_DEFAULTS = {
+    background: { template: 'solid', bg: '#ffffff', grad: '#2563eb', pos: 'center', size: 100 },
+    image: { asset: null, pos: 'right-bottom', size: 20 },
+    logo: { pos: 'right-top', size: 15 },
+    text: { text: 'Tagline', color: '#ffffff', fontSize: 24, pos: 'top-middle', size: 60 },
+    shape: { shape: 'rounded', color: '#f59e0b', pos: 'right-top', size: 20 }
+};
+
+// Uploaded layer images by asset id - never removed so undo can bring layers back
+const assets = new Map();
+let assetCounter = 0;
+let layerCounter = 0;
+
+/**
+ * Store an image for use by image layers
+ * @param {string} dataURL - Image data URL
+ * @returns {string} - Asset id to put in the layer
+ */
+export function addAsset(dataURL) {
+    const id = `asset-${++assetCounter}`;
+    assets.set(id, dataURL);
+    return id;
+}
+
+/**
+ * Look up a stored image
+ * @param {string} id - Asset id
+ * @returns {string|null} - Image data URL
+ */
+export function getAsset(id) {
+    return assets.get(id) || null;
+}
+
+/**
+ * Create a layer
+ * @param {string} type - 'background', 'image', 'logo', 'text' or 'shape'
+ * @param {Object} props - Properties overriding the type defaults
+ * @returns {Object} - Layer { id, type, name, main, visible, opacity, ... }
+ */
+export function createLayer(type, props = {}) {
+    return {
+        id: `layer-${++layerCounter}`,
+        type,
+        name: LAYER_TYPES[type],
+        main: false,            // Main layers use the Step 2 controls instead of their own settings
+        visible: true,
+        opacity: 100,           // Percent
+        x: null,                // Free center position (% of banner), null = use the pos slot
+        y: null,
+        ...LAYER_DEFAULTS[type],
+        ...props
+    };
+}
+
+/**
+ * The classic layout as a stack: background, text, logo (bottom to top)
+ * @returns {Array<Object>} - Layers
+ */
+export function defaultLayers() {
+    return ['background', 'text', 'logo'].map(type => createLayer(type, { main: true }));
+}
+
+/**
+ * Copy a layer
+ * A copy of a main layer becomes an independent layer showing the same thing
+ * @param {Object} layer - Layer to copy
+ * @param {Object} config - Banner configuration (source of main layer settings)
+ * @returns {Object} - New layer with its own id
+ */
+export function duplicateLayer(layer, config) {
+    const { id, ...props } = layer;
+
+    if (layer.main) {
+        const slot = { top: 'top-middle', middle: 'center', bottom: 'bottom-middle' };
+        Object.assign(props, {
+            background: { template: config.template, bg: config.bg, grad: config.grad, size: 100 },
+            logo: { pos: config.logoPos, size: config.logoSizePct, x: config.logoX, y: config.logoY },
+            text: {
+                text: config.text, color: config.tcol, fontSize: config.fs, pos: slot[config.tpos],
+                size: config.textMaxWidth, x: config.textX, y: config.textY
+            }
+        }[layer.type]);
+    }
+
+    return createLayer(layer.type, { ...props, main: false, name: `${layer.name} copy` });
+}
+
+/**
+ * Move a layer up or down the stack in place
+ * @param {Array<Object>} layers - Stack, bottom layer first
+ * @param {string} id - Layer id
+ * @param {number} delta - +1 moves towards the top, -1 towards the bottom
+ * @returns {boolean} - Whether the layer moved
+ */
+export function moveLayer(layers, id, delta) {
+    const from = layers.findIndex(layer => layer.id === id);
+    const to = from + delta;
+    if (from < 0 || to < 0 || to >= layers.length) return false;
+
+    const [layer] = layers.splice(from, 1);
+    layers.splice(to, 0, layer);
+    return true;
+}
@@ -2,13 +2,82 @@
  * LOGO PROCESSOR MODULE
  * 
  * Handles all logo processing operations:
- * - Loading and resizing logos
- * - Color extraction from images
- * - Bitmap conversion with threshold
- * - SVG vector generation with hole preservation
+ * - Loading and resizing logos (PNG, JPG, WebP, GIF; SVG imported directly)
+ * - Background removal (flood fill from the image edges)
+ * - Auto-trim to the content bounds and manual cropping
+ * - Brand palette extraction from images
+ * - Bitmap conversion with fixed, automatic (Otsu) or adaptive threshold
+ * - Bitmap cleanup (despeckle, hole filling, grow/shrink)
+ * - Multi-color quantization into per-color layers
+ * - SVG vector generation by tracing bitmap outlines (holes preserved)
+ * - Solid, gradient and two-tone fills for the traced logo
+ * - Brand variant set (full color, black, white, inverse) with SVG+PNG export
+ * - Fidelity report comparing the vector with the processed logo
+ * - State snapshots for undo/redo
+ * Pixel work runs in a Web Worker (see pixelWorker.js) so large logos don't freeze the page.
  */
 
-import { clampImageToMax } from './utils.js';
+import { clampImageToMax, loadImage, svgToImage, blobToDataURL, canvasToBlob } from './utils.js';
+import { sanitizeSVG, cropSVG, recolorSVG, addBackgroundSVG, readSVGSize, hasEmbeddedImage } from './svgSanitizer.js';
+import { createZip } from './zipWriter.js';
+import { WorkerClient } from './workerClient.js';
+
+// Processing stages captured in undo/redo snapshots
+const STATE_FIELDS = [
+    'originalDataURL', 'processedDataURL', 'bitmapDataURL', 'vectorSVGContent', 'colorLayers',
+    'appliedThreshold', 'sourceType', 'palette', 'uploadDataURL', 'uploadSVG', 'importedSVG',
+    'outline', 'variants', 'fidelity'
+];
+
+// Gradient ids must be unique when several logo SVGs are inlined in the page
+let fillCounter = 0;
+
+/**
+ * Build the paint for a traced logo
+ * Gradients span the whole drawing and use the CSS angle convention
+ * (0° = bottom to top, 90° = left to right)
+ * @param {string|Object} fill - Hex color, or { type: 'linear'|'radial'|'twoTone',
+ *        angle: degrees, stops: [{ offset: 0-1, color }] }
+ * @param {number} width - Drawing width in viewBox units
+ * @param {number} height - Drawing height in viewBox units
+ * @returns {{defs: string, paint: string}} - Gradient definition (empty for solid
+ *          colors) and the value for the fill attribute
+ */
+function createFillPaint(fill, width, height) {
+    if (typeof fill === 'string') return { defs: '', paint: fill };
+
+    const id = `logo-fill-${++fillCounter}`;
+    const round = (v) => +v.toFixed(2);
+
+    // Two-tone: equal hard-edged bands instead of smooth transitions
+    let stops = fill.stops;
+    if (fill.type === 'twoTone') {
+        stops = stops.flatMap((stop, i) => [
+            { offset: i / stops.length, color: stop.color },
+            { offset: (i + 1) / stops.length, color: stop.color }
+        ]);
+    }
+    const stopTags = stops
+        .map(stop => `<stop offset="${+stop.offset.toFixed(4)}" stop-color="${stop.color}"/>`)
+        .join('');
+
+    if (fill.type === 'radial') {
+        // Center outwards, reaching the corners
+        return {
+            defs: `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${round(width / 2)}" cy="${round(height / 2)}" r="${round(Math.hypot(width, height) / 2)}">${stopTags}</radialGradient>`,
+            paint: `url(#${id})`
+        };
+    }
+
+    // Linear and two-tone: gradient line through the center, long enough to reach the corners
+    const rad = (fill.angle - 90) * Math.PI / 180;
+    const dx = Math.cos(rad), dy = Math.sin(rad);
+    const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+    return {
+        defs: `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${round(width / 2 - dx * half)}" y1="${round(height / 2 - dy * half)}" x2="${round(width / 2 + dx * half)}" y2="${round(height / 2 + dy * half)}">${stopTags}</linearGradient>`,
+        paint: `url(#${id})`
+    };
+}
 
 export class LogoProcessor {
     constructor() {
@@ -17,257 +86,515 @@ export class LogoProcessor {
         this.processedDataURL = null;   // Processed (resized) image
         this.bitmapDataURL = null;      // Black & white bitmap version
         this.vectorSVGContent = null;   // Final SVG vector content
+        this.colorLayers = null;        // Per-color layers (multi-color mode only)
+        this.appliedThreshold = null;   // Threshold actually used for the last bitmap
+        this.sourceType = null;         // 'bitmap' or 'svg' (SVG uploads skip tracing)
+        this.palette = [];              // Brand colors extracted from the logo
+        this.uploadDataURL = null;      // Resized upload before any cropping
+        this.uploadSVG = null;          // Sanitized SVG upload before any cropping
+        this.importedSVG = null;        // Sanitized SVG upload, cropped like the raster copy
+        this.outline = null;            // Traced single-color outline, kept for refilling
+        this.variants = null;           // Brand variants generated from the vector
+        this.fidelity = null;           // Last vector vs. logo comparison
+
+        // Background thread for all pixel processing
+        this.worker = new WorkerClient(new URL('./pixelWorker.js', import.meta.url));
+    }
+
+    /**
+     * Capture all processing stages
+     * Data URLs and masks are immutable and shared; editable layer settings are copied
+     * @returns {Object} - Snapshot for setState
+     */
+    getState() {
+        const state = {};
+        STATE_FIELDS.forEach(key => state[key] = this[key]);
+        if (this.colorLayers) state.colorLayers = this.colorLayers.map(layer => ({ ...layer }));
+        return state;
+    }
+
+    /**
+     * Restore processing stages from a snapshot
+     * @param {Object} state - Result of getState
+     */
+    setState(state) {
+        STATE_FIELDS.forEach(key => this[key] = state[key]);
+        if (state.colorLayers) this.colorLayers = state.colorLayers.map(layer => ({ ...layer }));
     }
 
     /**
      * Load and process a logo file
+     * Decoding and resizing run in the worker
      * @param {File} file - Logo image file from user
+     * @param {number} maxSize - Longest side in pixels after resizing (up to 4000)
      * @returns {Promise<string>} - Data URL of processed logo
      * @throws {Error} - If file type is not supported
      */
-    async loadLogo(file) {
-        // Validate file type - only PNG/JPG allowed
-        if (!/^image\/(png|jpe?g)$/i.test(file.type)) {
-            throw new Error('Please upload PNG/JPG format only');
+    async loadLogo(file, maxSize = 800) {
+        // Some systems report no MIME type for .svg files
+        const isSVG = file.type === 'image/svg+xml' || /\.svg$/i.test(file.name);
+
+        // Validate file type - raster formats plus SVG
+        if (!isSVG && !/^image\/(png|jpe?g|webp|gif)$/i.test(file.type)) {
+            throw new Error('Please upload PNG, JPG, WebP, GIF or SVG');
         }
 
-        return new Promise((resolve, reject) => {
-            const fr = new FileReader();
-            
-            fr.onload = () => {
-                const img = new Image();
-                
-                img.onload = () => {
-                    // Resize image if too large (max 800px)
-                    const dataURL = clampImageToMax(img, 800);
-                    
-                    // Store all processing stages
-                    this.originalDataURL = dataURL;
-                    this.processedDataURL = dataURL;
-                    this.bitmapDataURL = null;      // Reset bitmap
-                    this.vectorSVGContent = null;   // Reset vector
-                    
-                    resolve(dataURL);
-                };
-                
-                img.onerror = reject;
-                img.src = fr.result;
-            };
-            
-            fr.onerror = reject;
-            fr.readAsDataURL(file);
-        });
+        // SVG logos are already vectors - sanitize them instead of tracing
+        if (isSVG) {
+            return this.loadSVGLogo(await file.text(), maxSize);
+        }
+
+        // Resize if too large; animated GIFs contribute their first frame
+        const { image } = await this.worker.run('loadImage', { blob: file, maxSize });
+        const dataURL = await blobToDataURL(image);
+
+        // Store all processing stages
+        this.uploadDataURL = dataURL;
+        this.originalDataURL = dataURL;
+        this.processedDataURL = dataURL;
+        this.uploadSVG = null;
+        this.importedSVG = null;
+        this.resetDerivedStages();
+        this.sourceType = 'bitmap';
+
+        return dataURL;
+    }
+
+    /**
+     * Load an SVG logo straight into the vector stage
+     * The markup is sanitized and used as-is; a rasterized copy feeds previews,
+     * color extraction and optional re-tracing
+     * @param {string} text - Raw SVG file contents
+     * @param {number} maxSize - Longest side of the rasterized copy in pixels
+     * @returns {Promise<string>} - Data URL of the rasterized logo
+     * @throws {Error} - If the file is not a valid SVG
+     */
+    async loadSVGLogo(text, maxSize = 800) {
+        const { svg, width, height } = sanitizeSVG(text);
+
+        // Render at maxSize on the long side, whatever the SVG's own size
+        const scale = maxSize / Math.max(width, height);
+
+        let img;
+        try {
+            img = await svgToImage(svg, Math.round(width * scale), Math.round(height * scale));
+        } catch (error) {
+            throw new Error('This SVG could not be rendered');
+        }
+
+        const dataURL = clampImageToMax(img, maxSize);
+
+        // Store all processing stages - the vector is ready without tracing
+        this.uploadDataURL = dataURL;
+        this.originalDataURL = dataURL;
+        this.processedDataURL = dataURL;
+        this.uploadSVG = svg;
+        this.importedSVG = svg;
+        this.resetDerivedStages();
+        this.vectorSVGContent = svg;
+        this.sourceType = 'svg';
+
+        return dataURL;
     }
 
     /**
-     * Extract the dominant color from an image
-     * Analyzes pixel data to find the most common non-white color
+     * Remove a solid or near-solid background around the logo
+     * Always starts from the original upload, so the tolerance can be re-tuned freely
+     * @param {number} tolerance - Color distance tolerance (0-100)
+     * @returns {Promise<number>} - Number of pixels made transparent
+     * @throws {Error} - If no logo has been loaded
+     */
+    async removeBackground(tolerance = 15) {
+        if (!this.originalDataURL) {
+            throw new Error('No logo loaded');
+        }
+
+        const result = await this.worker.run('removeBackground', { src: this.originalDataURL, tolerance });
+
+        // Transparent result becomes the input for bitmap conversion
+        this.processedDataURL = result.removed > 0
+            ? await blobToDataURL(result.image)
+            : this.originalDataURL;
+        this.resetDerivedStages();
+        return result.removed;
+    }
+
+    /**
+     * Undo background removal and go back to the original upload
+     */
+    restoreBackground() {
+        this.processedDataURL = this.originalDataURL;
+        this.resetDerivedStages();
+    }
+
+    /**
+     * Crop the logo before bitmap conversion
+     * The original and background-removed images are cropped together, and an
+     * imported SVG gets a matching viewBox so it stays the ready vector
+     * @param {Object|null} rect - { x, y, width, height } in image pixels, or null to
+     *                             trim automatically to the content bounds
+     * @param {number} padding - Margin kept around the content when trimming (% of its longer side)
+     * @returns {Promise<Object|null>} - Applied rectangle, or null if there was nothing to crop
+     * @throws {Error} - If no logo has been loaded
+     */
+    async cropLogo(rect = null, padding = 0) {
+        if (!this.originalDataURL) {
+            throw new Error('No logo loaded');
+        }
+
+        // Bounds are detected on the last source - the background-removed version if any
+        const backgroundRemoved = this.processedDataURL !== this.originalDataURL;
+        const sources = backgroundRemoved ? [this.originalDataURL, this.processedDataURL] : [this.originalDataURL];
+        const result = await this.worker.run('crop', { sources, rect, padding });
+        if (!result.rect) return null;
+
+        const images = await Promise.all(result.images.map(blobToDataURL));
+        this.originalDataURL = images[0];
+        this.processedDataURL = images[images.length - 1];
+        this.resetDerivedStages();
+
+        // Imported vectors stay the result; only the visible area changes
+        if (this.importedSVG) {
+            this.importedSVG = cropSVG(this.importedSVG, result.rect, result.width, result.height);
+            this.vectorSVGContent = this.importedSVG;
+        }
+        return result.rect;
+    }
+
+    /**
+     * Undo all cropping and go back to the full upload
+     * Background removal is undone too and has to be applied again
+     */
+    resetCrop() {
+        this.originalDataURL = this.uploadDataURL;
+        this.processedDataURL = this.uploadDataURL;
+        this.importedSVG = this.uploadSVG;
+        this.resetDerivedStages();
+        this.vectorSVGContent = this.importedSVG;
+    }
+
+    /**
+     * Drop bitmap and vector results after the processed logo changes
+     */
+    resetDerivedStages() {
+        this.bitmapDataURL = null;
+        this.vectorSVGContent = null;
+        this.outline = null;
+        this.colorLayers = null;
+        this.appliedThreshold = null;
+        this.variants = null;
+        this.fidelity = null;
+    }
+
+    /**
+     * Extract the brand palette from an image
+     * Returns the main perceptually distinct colors with their share of the logo
      * @param {string} dataURL - Image data URL to analyze
-     * @returns {Promise<string>} - Hex color code of dominant color
+     * @param {number} count - Maximum number of colors (5-8)
+     * @returns {Promise<Array<{hex: string, rgb: Array<number>, share: number}>>} - Palette,
+     *          most common color first
      */
-    async extractDominantColor(dataURL) {
-        return new Promise((resolve) => {
-            const img = new Image();
-            
-            img.onload = () => {
-                // Create canvas to analyze image pixels
-                const canvas = document.createElement('canvas');
-                const ctx = canvas.getContext('2d');
-                canvas.width = img.width;
-                canvas.height = img.height;
-                ctx.drawImage(img, 0, 0);
-
-                // Get pixel data from entire image
-                const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                const data = imageData.data;
-                const colorCount = {};
-
-                // Sample every 16th pixel for performance (still accurate)
-                for (let i = 0; i < data.length; i += 16) {
-                    const alpha = data[i + 3];
-                    
-                    // Skip transparent pixels
-                    if (alpha < 128) continue;
-
-                    // Round colors to nearest 10 to group similar colors
-                    const r = Math.round(data[i] / 10) * 10;
-                    const g = Math.round(data[i + 1] / 10) * 10;
-                    const b = Math.round(data[i + 2] / 10) * 10;
-                    const key = `${r},${g},${b}`;
-
-                    // Count occurrences of each color
-                    colorCount[key] = (colorCount[key] || 0) + 1;
-                }
-
-                // Find the most common color (excluding near-white)
-                let dominantColor = '#1d4ed8'; // Default blue
-                let maxCount = 0;
-
-                for (const [color, count] of Object.entries(colorCount)) {
-                    const [r, g, b] = color.split(',').map(n => parseInt(n));
-                    
-                    // Skip near-white colors (likely background)
-                    if (r > 240 && g > 240 && b > 240) continue;
-
-                    if (count > maxCount) {
-                        maxCount = count;
-                        // Convert RGB to hex
-                        dominantColor = `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
-                    }
-                }
-
-                resolve(dominantColor);
-            };
-            
-            img.src = dataURL;
-        });
+    async extractPalette(dataURL, count = 6) {
+        this.palette = await this.worker.run('palette', { src: dataURL, count });
+        return this.palette;
     }
 
     /**
      * Convert processed logo to black & white bitmap
      * This creates the mask needed for hole-preserving vectorization
      * @param {number} threshold - Luminance threshold (0.1-1.0) for black/white conversion
+     * @param {Object} options - Thresholding options
+     * @param {string} options.method - 'fixed' (use threshold), 'otsu' (automatic) or 'adaptive' (local)
+     * @param {boolean} options.invert - Treat light pixels as the logo (light-on-dark logos)
      * @returns {Promise<string>} - Data URL of bitmap image
      * @throws {Error} - If no processed logo is available
      */
-    async convertToBitmap(threshold = 0.5) {
+    async convertToBitmap(threshold = 0.5, { method = 'fixed', invert = false } = {}) {
         if (!this.processedDataURL) {
             throw new Error('No processed logo available');
         }
 
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            
-            img.onload = () => {
-                // Create canvas for bitmap processing
-                const canvas = document.createElement('canvas');
-                const ctx = canvas.getContext('2d');
-                canvas.width = img.width;
-                canvas.height = img.height;
-
-                // Disable smoothing for sharp bitmap conversion
-                ctx.imageSmoothingEnabled = false;
-                ctx.drawImage(img, 0, 0);
-
-                // Get pixel data for processing
-                const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                const data = imageData.data;
-
-                // Convert each pixel to pure black or white
-                for (let i = 0; i < data.length; i += 4) {
-                    const alpha = data[i + 3];
-                    
-                    // Very transparent pixels = background (white)
-                    if (alpha < 64) {
-                        data[i] = 255;     // R = white
-                        data[i + 1] = 255; // G = white
-                        data[i + 2] = 255; // B = white
-                        data[i + 3] = 255; // A = opaque
-                        continue;
-                    }
-
-                    // Calculate luminance using standard formula
-                    const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
-                    const isBlack = luminance < (threshold * 255);
-
-                    if (isBlack) {
-                        // Dark pixels become pure black
-                        data[i] = 0;       // R = black
-                        data[i + 1] = 0;   // G = black
-                        data[i + 2] = 0;   // B = black
-                    } else {
-                        // Light pixels become pure white
-                        data[i] = 255;     // R = white
-                        data[i + 1] = 255; // G = white
-                        data[i + 2] = 255; // B = white
-                    }
-                    data[i + 3] = 255;     // A = opaque
-                }
-
-                // Apply processed pixel data back to canvas
-                ctx.putImageData(imageData, 0, 0);
-                
-                // Store and return bitmap
-                this.bitmapDataURL = canvas.toDataURL('image/png');
-                resolve(this.bitmapDataURL);
-            };
-            
-            img.onerror = reject;
-            img.src = this.processedDataURL;
+        // Convert each pixel to pure black or white
+        const result = await this.worker.run('threshold', { src: this.processedDataURL, method, threshold, invert });
+
+        // Remember what was applied so the UI can show computed values
+        this.appliedThreshold = { method, threshold: result.threshold, blockSize: result.blockSize };
+
+        // Store and return bitmap (single-color mode - drop any color layers)
+        this.bitmapDataURL = await blobToDataURL(result.image);
+        this.colorLayers = null;
+        return this.bitmapDataURL;
+    }
+
+    /**
+     * Clean up the single-color bitmap before vectorizing
+     * The result replaces the current bitmap, so operations can be applied repeatedly
+     * @param {string} operation - 'despeckle', 'fillHoles', 'grow' or 'shrink'
+     * @param {number} amount - Speck/hole size limit in pixels, or grow/shrink radius
+     * @returns {Promise<number>} - Number of pixels changed
+     * @throws {Error} - If there is no single-color bitmap
+     */
+    async cleanupBitmap(operation, amount) {
+        if (!this.bitmapDataURL || this.colorLayers) {
+            throw new Error('Convert to a single-color bitmap first');
+        }
+
+        const result = await this.worker.run('cleanup', { src: this.bitmapDataURL, operation, amount });
+
+        // Cleaned bitmap replaces the old one; any vector is now out of date
+        if (result.changed > 0) {
+            this.bitmapDataURL = await blobToDataURL(result.image);
+            this.vectorSVGContent = null;
+            this.outline = null;
+        }
+        return result.changed;
+    }
+
+    /**
+     * Split the processed logo into per-color layers
+     * Quantizes the logo to a small palette and builds one ink mask per color.
+     * The posterized result becomes the bitmap preview.
+     * @param {number} count - Number of colors to reduce the logo to
+     * @returns {Promise<string>} - Data URL of the posterized preview
+     * @throws {Error} - If no processed logo is available
+     */
+    async convertToColorLayers(count = 3) {
+        if (!this.processedDataURL) {
+            throw new Error('No processed logo available');
+        }
+
+        // One binary mask per palette color (empty clusters already dropped)
+        const { image, layers } = await this.worker.run('colorLayers', { src: this.processedDataURL, count });
+
+        // Largest color area at the bottom of the stack
+        this.colorLayers = layers
+            .map(layer => ({
+                color: layer.color,               // Current (editable) fill color
+                originalColor: layer.color,       // Color found in the logo
+                visible: true,
+                pixelCount: layer.pixelCount,
+                mask: layer.mask,
+                pathData: null                    // Traced outlines, filled in by vectorizeLayers()
+            }))
+            .sort((a, b) => b.pixelCount - a.pixelCount);
+
+        this.bitmapDataURL = await blobToDataURL(image);
+        this.vectorSVGContent = null;
+        this.outline = null;
+        return this.bitmapDataURL;
+    }
+
+    /**
+     * Trace every color layer and assemble a layered SVG
+     * @param {Object|null} traceOptions - Curve fitting options (see vectorize)
+     * @returns {Promise<string>} - Complete SVG content with one <g> per color
+     * @throws {Error} - If color layers haven't been created first
+     */
+    async vectorizeLayers(traceOptions = null) {
+        if (!this.colorLayers) {
+            throw new Error('Convert to color layers first');
+        }
+
+        // Trace each color mask separately (masks are copied to the worker)
+        const paths = await this.worker.run('traceLayers', {
+            masks: this.colorLayers.map(layer => layer.mask),
+            traceOptions
         });
+        this.colorLayers.forEach((layer, i) => {
+            layer.pathData = paths[i];
+        });
+
+        return this.buildLayeredSVG();
+    }
+
+    /**
+     * Assemble the layered SVG from already traced color layers
+     * Cheap to call again after recoloring or hiding a layer
+     * @returns {string} - Complete SVG content
+     */
+    buildLayeredSVG() {
+        const { width, height } = this.colorLayers[0].mask;
+
+        const groups = this.colorLayers
+            .map((layer, i) => layer.visible && layer.pathData ? `
+  <g id="layer-${i + 1}" fill="${layer.color}">
+    <path fill-rule="evenodd" d="${layer.pathData}"/>
+  </g>` : '')
+            .join('');
+
+        this.vectorSVGContent = `<svg xmlns="http://www.w3.org/2000/svg"
+     viewBox="0 0 ${width} ${height}" width="100%" height="100%">${groups}
+</svg>`;
+
+        return this.vectorSVGContent;
     }
 
     /**
-     * Create SVG vector with hole preservation using bitmap mask
-     * This is the core innovation - using the bitmap as an SVG mask preserves holes perfectly
-     * @param {string} color - Fill color for the vector
-     * @param {number} w - Width of the vector
-     * @param {number} h - Height of the vector
+     * Update a color layer's fill or visibility and rebuild the SVG
+     * @param {number} index - Layer index (bottom to top)
+     * @param {Object} changes - Layer fields to change ({ color, visible })
+     * @returns {string|null} - Updated SVG content, or null if not vectorized yet
+     */
+    updateColorLayer(index, changes) {
+        if (!this.colorLayers || !this.colorLayers[index]) return null;
+
+        Object.assign(this.colorLayers[index], changes);
+        return this.vectorSVGContent ? this.buildLayeredSVG() : null;
+    }
+
+    /**
+     * Create SVG vector with hole preservation from traced outlines
+     * Every ink region becomes a real <path> outline; even-odd filling keeps counters
+     * (the holes in "O", "A", ...) open without any embedded image
+     * @param {string|Object} fill - Fill color, or gradient fill (see createFillPaint)
+     * @param {{pathData: string, width: number, height: number}} traced - Traced bitmap outlines
      * @returns {string} - Complete SVG content as string
      */
-    async createVectorWithHoles(color, w, h) {
-        if (!this.bitmapDataURL) {
-            throw new Error('No bitmap available');
-        }
+    createVectorWithHoles(fill, traced) {
+        const { pathData, width, height } = traced;
+        const { defs, paint } = createFillPaint(fill, width, height);
 
-        // Generate SVG with embedded bitmap mask
-        // The key innovation: invert the mask so black areas (logo) show through
-        this.vectorSVGContent = `
-<svg xmlns="http://www.w3.org/2000/svg"
-     viewBox="0 0 ${w} ${h}" width="100%" height="100%">
-  <defs>
-    <!-- Invert black/white so logo areas stay visible -->
-    <filter id="invertMask">
-      <feColorMatrix type="matrix"
-        values="-1 0 0 0 1
-                 0 -1 0 0 1
-                 0 0 -1 0 1
-                 0 0  0 1 0"/>
-    </filter>
-    <!-- Use bitmap as mask with inversion -->
-    <mask id="logoMask">
-      <image href="${this.bitmapDataURL}"
-             width="${w}" height="${h}"
-             style="filter:url(#invertMask)"/>
-    </mask>
-  </defs>
-  <!-- Colored rectangle with mask applied -->
-  <rect width="100%" height="100%"
-        fill="${color}"
-        mask="url(#logoMask)"/>
+        this.outline = traced;
+        this.vectorSVGContent = `<svg xmlns="http://www.w3.org/2000/svg"
+     viewBox="0 0 ${width} ${height}" width="100%" height="100%">${defs ? `
+  <defs>${defs}</defs>` : ''}
+  <path fill="${paint}" fill-rule="evenodd" d="${pathData}"/>
 </svg>`;
 
         return this.vectorSVGContent;
     }
 
+    /**
+     * Change the fill of the traced single-color vector without tracing again
+     * @param {string|Object} fill - Fill color, or gradient fill (see createFillPaint)
+     * @returns {string|null} - Updated SVG content, or null if there is no traced outline
+     */
+    updateFill(fill) {
+        if (!this.outline || !this.vectorSVGContent) return null;
+        return this.createVectorWithHoles(fill, this.outline);
+    }
+
     /**
      * Complete vectorization process
-     * Combines bitmap dimensions detection with vector generation
-     * @param {string} color - Desired fill color for vector
+     * Traces the bitmap outlines in the worker (pixel-exact, or simplified and
+     * fitted with Bézier curves when trace options are given)
+     * @param {string|Object} fill - Fill color, or { type: 'linear'|'radial'|'twoTone',
+     *                               angle, stops } for gradient fills
+     * @param {Object|null} traceOptions - { smoothness: 0-1, tolerance: px } or null for pixel-exact
      * @returns {Promise<string>} - Complete SVG content
      * @throws {Error} - If bitmap conversion hasn't been done first
      */
-    async vectorize(color) {
+    async vectorize(fill, traceOptions = null) {
         if (!this.bitmapDataURL) {
             throw new Error('Convert to bitmap first');
         }
 
-        return new Promise((resolve, reject) => {
-            // Load bitmap to get dimensions
-            const img = new Image();
-            
-            img.onload = async () => {
-                try {
-                    // Create vector using bitmap dimensions
-                    const svg = await this.createVectorWithHoles(color, img.width, img.height);
-                    resolve(svg);
-                } catch (error) {
-                    reject(error);
-                }
-            };
-            
-            img.onerror = reject;
-            img.src = this.bitmapDataURL;
-        });
+        const traced = await this.worker.run('trace', { src: this.bitmapDataURL, traceOptions });
+        return this.createVectorWithHoles(fill, traced);
+    }
+
+    /**
+     * Measure how closely the vector matches the processed logo
+     * The vector is rasterized at the logo's resolution and both coverages are compared
+     * pixel by pixel in the worker
+     * @returns {Promise<{image: string, missing: number, extra: number, mismatch: number,
+     *          iou: number}>} - Difference overlay data URL and scores (mismatch in % of
+     *          all pixels, IoU 0-1)
+     * @throws {Error} - If there is no vector yet
+     */
+    async compareFidelity() {
+        if (!this.vectorSVGContent) {
+            throw new Error('Create the vector first');
+        }
+
+        // Render the vector at source resolution
+        const { width, height } = await loadImage(this.processedDataURL);
+        const img = await svgToImage(this.vectorSVGContent, width, height);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, width, height);
+        const vector = ctx.getImageData(0, 0, width, height);
+
+        const { image, ...stats } = await this.worker.run('fidelity', {
+            src: this.processedDataURL,
+            vector: { data: vector.data, width, height }
+        }, [vector.data.buffer]);
+
+        this.fidelity = { image: await blobToDataURL(image), ...stats };
+        return this.fidelity;
+    }
+
+    /**
+     * Build the standard brand variant set from the current vector
+     * @param {string} brandColor - Tile color for the inverse variant
+     * @returns {Array<{id: string, label: string, svg: string}>} - Full color, black,
+     *          white and white-on-brand-color variants (full color only if the logo
+     *          embeds a bitmap, since that can't be recolored)
+     * @throws {Error} - If there is no vector yet
+     */
+    generateVariants(brandColor) {
+        if (!this.vectorSVGContent) {
+            throw new Error('Create the vector first');
+        }
+
+        const svg = this.vectorSVGContent;
+        if (hasEmbeddedImage(svg)) {
+            this.variants = [{ id: 'full-color', label: 'Full color', svg }];
+            return this.variants;
+        }
+
+        const white = recolorSVG(svg, '#ffffff');
+
+        this.variants = [
+            { id: 'full-color', label: 'Full color', svg },
+            { id: 'black', label: 'Black', svg: recolorSVG(svg, '#000000') },
+            { id: 'white', label: 'White', svg: white },
+            { id: 'inverse', label: `Inverse on ${brandColor}`, svg: addBackgroundSVG(white, brandColor) }
+        ];
+        return this.variants;
+    }
+
+    /**
+     * Package the generated variants as SVG and PNG files
+     * @param {number} size - Longer side of the PNGs in pixels
+     * @returns {Promise<Blob>} - ZIP archive with logo-<variant>.svg/.png
+     * @throws {Error} - If no variants have been generated
+     */
+    async exportVariants(size = 1024) {
+        if (!this.variants) {
+            throw new Error('Generate variants first');
+        }
+
+        const files = [];
+        for (const variant of this.variants) {
+            // PNG keeps the drawing's aspect ratio at the requested size
+            const { width, height } = readSVGSize(variant.svg);
+            const scale = size / Math.max(width, height);
+            const w = Math.round(width * scale);
+            const h = Math.round(height * scale);
+
+            const img = await svgToImage(variant.svg, w, h);
+            const canvas = document.createElement('canvas');
+            canvas.width = w;
+            canvas.height = h;
+            canvas.getContext('2d').drawImage(img, 0, 0, w, h);
+            const png = await canvasToBlob(canvas, 'image/png');
+
+            files.push(
+                { name: `logo-${variant.id}.svg`, data: variant.svg },
+                { name: `logo-${variant.id}.png`, data: new Uint8Array(await png.arrayBuffer()) }
+            );
+        }
+
+        return createZip(files);
+    }
+
+    /**
+     * Stop any pixel processing that is still running
+     */
+    cancel() {
+        this.worker.cancel();
     }
 }
@@ -0,0 +1,97 @@
+/**
+ * PDF WRITER MODULE
+ *
+ * Builds single-page PDF files in the browser without any library:
+ * - Vector content stream (paths, colors, placed images)
+ * - RGB images with an optional alpha mask (soft mask)
+ * - Trim and bleed boxes for print
+ * - Flate compression through the browser's CompressionStream
+ */
+
+/**
+ * Format a number for PDF syntax: no exponents, at most 3 decimals
+ * @param {number} value - Number
+ * @returns {number} - Rounded number (prints without an exponent)
+ */
+export const num = (value) => +value.toFixed(3);
+
+/**
+ * Compress bytes with zlib deflate (the PDF FlateDecode filter)
+ * @param {Uint8Array} bytes - Raw data
+ * @returns {Promise<Uint8Array>} - Compressed data
+ */
+export async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Create a one-page PDF
+ * @param {Object} page - Page description
+ * @param {number} page.width - Page width in points (1/72 inch)
+ * @param {number} page.height - Page height in points
+ * @param {Object<string, Array<number>>} page.boxes - Extra page boxes in points,
+ *        e.g. { TrimBox: [x0, y0, x1, y1], BleedBox: [...] }
+ * @param {Array<{name: string, width: number, height: number, rgb: Uint8Array,
+ *        alpha: Uint8Array|null}>} page.images - Images referenced by name from the
+ *        content; rgb and alpha are deflated 8-bit samples
+ * @param {Uint8Array} page.content - Deflated content stream
+ * @returns {Blob} - PDF file
+ */
+export function createPDF({ width, height, boxes = {}, images = [], content }) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (data) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        parts.push(bytes);
+        length += bytes.length;
+    };
+
+    // Numbered object, optionally with a stream; its offset goes into the cross-reference table
+    const object = (id, dict, stream = null) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${dict}\n`);
+        if (stream) {
+            write('stream\n');
+            write(stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    };
+
+    // Objects 1-4 are fixed; images (and their masks) follow
+    let nextId = 5;
+    const imageIds = images.map(image => ({ id: nextId++, mask: image.alpha ? nextId++ : null }));
+
+    // Binary comment marks the file as binary for transfer tools
+    write('%PDF-1.4\n%âãÏÓ\n');
+
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+
+    const pageBoxes = Object.entries(boxes).map(([name, box]) => ` /${name} [${box.map(num).join(' ')}]`).join('');
+    const xObjects = images.map((image, i) => `/${image.name} ${imageIds[i].id} 0 R`).join(' ');
+    object(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}]${pageBoxes} ` +
+        `/Resources << /XObject << ${xObjects} >> >> /Contents 4 0 R >>`);
+    object(4, `<< /Length ${content.length} /Filter /FlateDecode >>`, content);
+
+    images.forEach((image, i) => {
+        const { id, mask } = imageIds[i];
+        const common = `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+            '/BitsPerComponent 8 /Filter /FlateDecode';
+        object(id, `<< ${common} /ColorSpace /DeviceRGB /Length ${image.rgb.length}` +
+            `${mask ? ` /SMask ${mask} 0 R` : ''} >>`, image.rgb);
+        if (mask) object(mask, `<< ${common} /ColorSpace /DeviceGray /Length ${image.alpha.length} >>`, image.alpha);
+    });
+
+    // Cross-reference table: fixed 20-byte entries
+    const xref = length;
+    write(`xref\n0 ${nextId}\n0000000000 65535 f \n` +
+        offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join(''));
+    write(`trailer\n<< /Size ${nextId} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    return new Blob(parts, { type: 'application/pdf' });
+}
@@ -0,0 +1,232 @@
+/**
+ * PIXEL WORKER
+ *
+ * Runs the heavy logo pipeline off the main thread so the page stays responsive:
+ * - Decodes and resizes uploads with createImageBitmap / OffscreenCanvas
+ * - Background removal, trimming/cropping, thresholding, bitmap cleanup
+ * - Color quantization into layers and brand palette extraction
+ * - Outline tracing into SVG path data
+ * - Fidelity comparison between the logo and its rasterized vector
+ * - Encodes resulting bitmaps back to PNG
+ *
+ * Protocol: receives { id, task, params } and answers with
+ * { id, type: 'progress', message, fraction }, { id, type: 'result', result }
+ * or { id, type: 'error', message }.
+ */
+
+import {
+    thresholdPixels, removeBackground, removeSpecks, fillHoles, growMask, maskToPixels,
+    contentBounds, cropPixels, compareCoverage
+} from './bitmapOps.js';
+import { quantizeColors, extractPalette, rgbToHex } from './colorUtils.js';
+import { createMask, traceContours, contoursToPathData, contoursToCurvePathData } from './vectorTracer.js';
+
+/**
+ * Decode an image source into pixel data
+ * @param {string|Blob} src - Data URL or image Blob
+ * @returns {Promise<ImageData>} - Pixel data at the image's natural size
+ */
+async function decode(src) {
+    const blob = typeof src === 'string' ? await (await fetch(src)).blob() : src;
+    const bitmap = await createImageBitmap(blob);
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Encode pixel data as a PNG Blob
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} pixels - RGBA pixels
+ * @returns {Promise<Blob>} - PNG image
+ */
+function encode({ data, width, height }) {
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+    return canvas.convertToBlob({ type: 'image/png' });
+}
+
+/**
+ * Trace a binary mask into SVG path data
+ * @param {{width: number, height: number, data: Uint8Array}} mask - Binary ink mask
+ * @param {Object|null} traceOptions - { smoothness, tolerance } or null for pixel-exact
+ * @returns {string} - SVG path data
+ */
+function tracePathData(mask, traceOptions) {
+    const contours = traceContours(mask);
+    return traceOptions
+        ? contoursToCurvePathData(contours, traceOptions)
+        : contoursToPathData(contours);
+}
+
+/**
+ * Available tasks. Each receives its params, a progress(message, fraction) callback and
+ * a list to push transferable buffers onto, and returns a structured-cloneable result.
+ */
+const TASKS = {
+    /**
+     * Decode an upload, shrinking it to fit maxSize (first frame for animated GIFs)
+     */
+    async loadImage({ blob, maxSize }, progress) {
+        progress('Decoding image', 0.1);
+        const bitmap = await createImageBitmap(blob);
+        const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+
+        progress('Resizing image', 0.4);
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+
+        progress('Encoding image', 0.7);
+        return { image: await canvas.convertToBlob({ type: 'image/png' }), width, height };
+    },
+
+    async removeBackground({ src, tolerance }, progress) {
+        progress('Reading pixels', 0.1);
+        const result = removeBackground(await decode(src), tolerance);
+        if (!result.removed) return { image: null, removed: 0 };
+
+        progress('Encoding image', 0.8);
+        return { image: await encode(result), removed: result.removed };
+    },
+
+    /**
+     * Crop one or more same-sized images to a rectangle. Without a rectangle the
+     * content bounds of the last image (the most processed one) are used.
+     */
+    async crop({ sources, rect, padding }, progress) {
+        progress('Reading pixels', 0.1);
+        const images = [];
+        for (const src of sources) images.push(await decode(src));
+        const { width, height } = images[images.length - 1];
+
+        progress('Finding content', 0.4);
+        const area = rect || contentBounds(images[images.length - 1], padding);
+        if (!area || (area.width === width && area.height === height)) {
+            return { images: null, rect: null, width, height }; // Nothing to trim
+        }
+
+        progress('Encoding image', 0.7);
+        const cropped = [];
+        for (const imageData of images) cropped.push(await encode(cropPixels(imageData, area)));
+        return { images: cropped, rect: area, width, height };
+    },
+
+    async palette({ src, count }, progress) {
+        progress('Reading pixels', 0.1);
+        const imageData = await decode(src);
+        progress('Extracting palette', 0.4);
+        return extractPalette(imageData, count);
+    },
+
+    async threshold({ src, method, threshold, invert }, progress) {
+        progress('Reading pixels', 0.1);
+        const imageData = await decode(src);
+        progress('Thresholding', 0.3);
+        const result = thresholdPixels(imageData, { method, threshold, invert });
+
+        progress('Encoding bitmap', 0.8);
+        return { image: await encode(result), threshold: result.threshold, blockSize: result.blockSize };
+    },
+
+    async cleanup({ src, operation, amount }, progress) {
+        progress('Reading bitmap', 0.1);
+        const mask = createMask(await decode(src));
+
+        progress('Cleaning bitmap', 0.3);
+        let result;
+        switch (operation) {
+            case 'despeckle': result = removeSpecks(mask, amount); break;
+            case 'fillHoles': result = fillHoles(mask, amount); break;
+            case 'grow': result = growMask(mask, amount); break;
+            case 'shrink': result = growMask(mask, -amount); break;
+            default: throw new Error(`Unknown cleanup operation: ${operation}`);
+        }
+        if (!result.changed) return { image: null, changed: 0 };
+
+        progress('Encoding bitmap', 0.8);
+        const pixels = { data: maskToPixels(result.mask), width: mask.width, height: mask.height };
+        return { image: await encode(pixels), changed: result.changed };
+    },
+
+    /**
+     * Quantize the logo and build one binary mask per color plus a posterized preview
+     */
+    async colorLayers({ src, count }, progress, transfer) {
+        progress('Reading pixels', 0.1);
+        const imageData = await decode(src);
+        const { width, height } = imageData;
+
+        progress('Reducing colors', 0.2);
+        const { palette, labels } = quantizeColors(imageData, count);
+
+        progress('Building layers', 0.7);
+        const layers = palette.map(rgb => ({
+            color: rgbToHex(...rgb),
+            pixelCount: 0,
+            mask: { width, height, data: new Uint8Array(width * height) }
+        }));
+        const preview = new Uint8ClampedArray(width * height * 4);
+        labels.forEach((label, p) => {
+            if (label < 0) return; // Transparent pixel - stays transparent
+            layers[label].mask.data[p] = 1;
+            layers[label].pixelCount++;
+            preview.set([...palette[label], 255], p * 4);
+        });
+
+        progress('Encoding preview', 0.9);
+        const image = await encode({ data: preview, width, height });
+
+        const used = layers.filter(layer => layer.pixelCount > 0);
+        used.forEach(layer => transfer.push(layer.mask.data.buffer));
+        return { image, layers: used };
+    },
+
+    async trace({ src, traceOptions }, progress) {
+        progress('Reading bitmap', 0.1);
+        const mask = createMask(await decode(src));
+        progress('Tracing outlines', 0.3);
+        return { pathData: tracePathData(mask, traceOptions), width: mask.width, height: mask.height };
+    },
+
+    /**
+     * Compare the processed logo with the vector rendered at the same size
+     */
+    async fidelity({ src, vector }, progress) {
+        progress('Reading pixels', 0.1);
+        const imageData = await decode(src);
+
+        progress('Comparing', 0.4);
+        const { data, width, height, ...stats } = compareCoverage(imageData, vector);
+
+        progress('Encoding overlay', 0.8);
+        return { image: await encode({ data, width, height }), ...stats };
+    },
+
+    async traceLayers({ masks, traceOptions }, progress) {
+        return masks.map((mask, i) => {
+            progress(`Tracing layer ${i + 1}/${masks.length}`, i / masks.length);
+            return tracePathData(mask, traceOptions);
+        });
+    }
+};
+
+self.onmessage = async (e) => {
+    const { id, task, params } = e.data;
+    const progress = (message, fraction) => self.postMessage({ id, type: 'progress', message, fraction });
+
+    try {
+        if (!TASKS[task]) throw new Error(`Unknown task: ${task}`);
+        const transfer = [];
+        const result = await TASKS[task](params, progress, transfer);
+        self.postMessage({ id, type: 'result', result }, transfer);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message || String(error) });
+    }
+};
@@ -0,0 +1,384 @@
+/**
+ * PRINT EXPORTER MODULE
+ *
+ * Print-ready PDF of the banner for roll-ups and signage:
+ * - Physical size in mm or inches, rendered at a chosen DPI
+ * - Bleed area around the trim edge, filled by extending the background
+ * - Optional crop marks outside the bleed
+ * - Logos stay vector paths when their SVG and effects allow it; everything else is
+ *   rasterized in stacking order
+ */
+
+import { createPDF, deflate, num } from './pdfWriter.js';
+import { hexToRgb } from './colorUtils.js';
+
+const POINTS_PER_INCH = 72;
+const MM_PER_INCH = 25.4;
+const MARK_GAP = 3;             // Space between bleed edge and crop marks (pt)
+const MARK_LENGTH = 14;         // Crop mark length (pt)
+const MAX_PIXELS = 40e6;        // Largest raster the browser can reliably handle
+
+/**
+ * Read logo SVG markup as plain filled paths, if it is simple enough for PDF
+ * Traced logos qualify (absolute M/L/H/V/C/Z paths with flat colors); gradients,
+ * strokes, transforms, opacity and other shapes don't
+ * @param {string} svg - Logo SVG markup
+ * @returns {{viewBox: Array<number>, paths: Array<{d: string, color: string,
+ *          evenOdd: boolean}>}|null} - Paths in viewBox units, or null
+ */
+function readVectorPaths(svg) {
+    const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+    const root = doc.documentElement;
+    if (root.localName !== 'svg') return null;
+
+    const UNSUPPORTED = ['transform', 'stroke', 'opacity', 'fill-opacity', 'style', 'clip-path', 'mask', 'filter'];
+    const paths = [];
+
+    for (const el of [root, ...root.querySelectorAll('*')]) {
+        if (UNSUPPORTED.some(attr => el.hasAttribute(attr) && el.getAttribute(attr) !== 'none')) return null;
+        if (['svg', 'g', 'title', 'desc'].includes(el.localName)) continue;
+        if (el.localName !== 'path') return null;
+
+        const d = el.getAttribute('d') || '';
+        if (!/^[MLHVCZ\d\s.,eE+-]*$/.test(d)) return null;
+
+        // Fill is inherited; SVG paints unfilled shapes black
+        const holder = el.closest('[fill]');
+        let color = holder ? holder.getAttribute('fill').trim() : '#000000';
+        if (color === 'none') continue;
+        if (/^#[0-9a-f]{3}$/i.test(color)) color = '#' + [...color.slice(1)].map(c => c + c).join('');
+        if (!/^#[0-9a-f]{6}$/i.test(color)) return null;
+
+        const rule = el.closest('[fill-rule]');
+        paths.push({ d, color, evenOdd: !!rule && rule.getAttribute('fill-rule') === 'evenodd' });
+    }
+
+    const viewBox = (root.getAttribute('viewBox') || '0 0 300 150').split(/[\s,]+/).map(Number);
+    return { viewBox, paths };
+}
+
+/**
+ * Convert absolute SVG path data (M, L, H, V, C, Z) to PDF path operators
+ * @param {string} d - Path data
+ * @returns {string} - PDF path construction operators
+ */
+function pathOperators(d) {
+    const tokens = d.match(/[MLHVCZ]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+    const ops = [];
+    let command = null;
+    let x = 0, y = 0, startX = 0, startY = 0;
+    let i = 0;
+    const next = () => +tokens[i++];
+
+    while (i < tokens.length) {
+        if (/^[A-Z]$/.test(tokens[i])) command = tokens[i++];
+
+        switch (command) {
+            case 'M':
+                x = startX = next();
+                y = startY = next();
+                ops.push(`${num(x)} ${num(y)} m`);
+                command = 'L'; // Further pairs are implicit line-tos
+                break;
+            case 'L':
+                x = next();
+                y = next();
+                ops.push(`${num(x)} ${num(y)} l`);
+                break;
+            case 'H':
+                x = next();
+                ops.push(`${num(x)} ${num(y)} l`);
+                break;
+            case 'V':
+                y = next();
+                ops.push(`${num(x)} ${num(y)} l`);
+                break;
+            case 'C': {
+                const points = [next(), next(), next(), next(), next(), next()];
+                [x, y] = points.slice(4);
+                ops.push(`${points.map(num).join(' ')} c`);
+                break;
+            }
+            case 'Z':
+                ops.push('h');
+                x = startX;
+                y = startY;
+                if (i < tokens.length && !/^[A-Z]$/.test(tokens[i])) return ops.join('\n'); // Malformed
+                break;
+            default:
+                return ops.join('\n');
+        }
+    }
+
+    return ops.join('\n');
+}
+
+export class PrintExporter {
+    /**
+     * Physical layout of the PDF page in points
+     * @param {Object} config - Banner configuration (pdfWidth, pdfUnit, pdfBleed, pdfCropMarks, w, h)
+     * @returns {{trimWidth: number, trimHeight: number, bleed: number, margin: number,
+     *          pageWidth: number, pageHeight: number}} - Trim size, bleed, trim offset from
+     *          the page edge, and page size (height follows the banner's aspect ratio)
+     */
+    pageLayout(config) {
+        const toPoints = (value) => value * POINTS_PER_INCH / (config.pdfUnit === 'in' ? 1 : MM_PER_INCH);
+        const trimWidth = toPoints(config.pdfWidth);
+        const trimHeight = trimWidth * config.h / config.w;
+        const bleed = toPoints(config.pdfBleed);
+        const margin = bleed + (config.pdfCropMarks ? MARK_GAP + MARK_LENGTH + 4 : 0);
+
+        return {
+            trimWidth, trimHeight, bleed, margin,
+            pageWidth: trimWidth + margin * 2,
+            pageHeight: trimHeight + margin * 2
+        };
+    }
+
+    /**
+     * Build the print PDF
+     * @param {BannerGenerator} generator - Draws the raster layers
+     * @param {Object} config - Banner configuration with the PDF settings
+     * @param {string} vectorSVG - SVG content for the logo
+     * @param {string|null} uploadedBannerDataURL - Optional uploaded banner background
+     * @returns {Promise<{blob: Blob, vectorLogo: boolean}>} - PDF file, and whether the
+     *          logo was kept as vector paths
+     * @throws {Error} - If the raster would be too large for the browser
+     */
+    async createPDF(generator, config, vectorSVG, uploadedBannerDataURL = null) {
+        const layout = this.pageLayout(config);
+        const { trimWidth, trimHeight, bleed, margin, pageWidth, pageHeight } = layout;
+
+        // Raster resolution: canvas pixels per banner pixel, and the bleed in canvas pixels
+        const scale = trimWidth / POINTS_PER_INCH * config.pdfDpi / config.w;
+        const bleedPixels = Math.round(bleed / POINTS_PER_INCH * config.pdfDpi);
+        const rasterWidth = Math.round(config.w * scale) + bleedPixels * 2;
+        const rasterHeight = Math.round(config.h * scale) + bleedPixels * 2;
+        if (rasterWidth * rasterHeight > MAX_PIXELS) {
+            throw new Error(`${rasterWidth}×${rasterHeight}px is too large to render - lower the DPI`);
+        }
+
+        // Consecutive raster layers share one image; vector logos sit between them
+        const vector = this.canKeepVector(config) ? readVectorPaths(vectorSVG) : null;
+        const segments = [];
+        config.layers.filter(layer => layer.visible).forEach(layer => {
+            if (vector && layer.type === 'logo' && layer.opacity === 100) {
+                segments.push({ logo: layer });
+            } else if (segments.length && segments[segments.length - 1].layers) {
+                segments[segments.length - 1].layers.push(layer);
+            } else {
+                segments.push({ layers: [layer] });
+            }
+        });
+
+        // Page coordinates are y-up from the bottom left; the banner is drawn y-down in banner pixels
+        const toBanner = `1 0 0 -1 ${num(margin)} ${num(pageHeight - margin)} cm ` +
+            `${num(trimWidth / config.w)} 0 0 ${num(trimHeight / config.h)} 0 0 cm`;
+        const images = [];
+        const content = [];
+
+        for (const segment of segments) {
+            if (segment.logo) {
+                content.push('q', toBanner, this.logoOperators(generator, config, segment.logo, vector), 'Q');
+                continue;
+            }
+
+            const canvas = await this.renderLayers(generator, config, segment.layers, vectorSVG,
+                uploadedBannerDataURL, { scale, bleedPixels, width: rasterWidth, height: rasterHeight });
+            const name = `Im${images.length + 1}`;
+            images.push({ name, ...await this.encodeImage(canvas) });
+
+            // The raster covers trim and bleed
+            content.push(`q ${num(trimWidth + bleed * 2)} 0 0 ${num(trimHeight + bleed * 2)} ` +
+                `${num(margin - bleed)} ${num(margin - bleed)} cm /${name} Do Q`);
+        }
+
+        if (config.pdfCropMarks) content.push(this.cropMarks(layout));
+
+        const blob = createPDF({
+            width: pageWidth,
+            height: pageHeight,
+            boxes: {
+                TrimBox: [margin, margin, margin + trimWidth, margin + trimHeight],
+                BleedBox: [margin - bleed, margin - bleed, margin + trimWidth + bleed, margin + trimHeight + bleed]
+            },
+            images,
+            content: await deflate(new TextEncoder().encode(content.join('\n')))
+        });
+        return { blob, vectorLogo: segments.some(segment => segment.logo) };
+    }
+
+    /**
+     * Whether logo layers can be written as vector paths
+     * Shadow, outline, glow, logo opacity and blend modes only exist in the raster renderer
+     * @param {Object} config - Banner configuration
+     * @returns {boolean}
+     */
+    canKeepVector(config) {
+        return !config.shadowOn && config.outlineWidth === 0 && config.glowSize === 0 &&
+            config.logoOpacity === 100 && config.logoBlend === 'source-over';
+    }
+
+    /**
+     * Draw a run of layers onto a print-resolution canvas
+     * The main background is extended over the bleed; everything else keeps its place
+     * inside the trim area
+     * @param {BannerGenerator} generator - Banner renderer
+     * @param {Object} config - Banner configuration
+     * @param {Array<Object>} layers - Layers to draw, bottom first
+     * @param {string} vectorSVG - SVG content for logo layers
+     * @param {string|null} uploadedBannerDataURL - Optional uploaded banner background
+     * @param {Object} raster - { scale, bleedPixels, width, height }
+     * @returns {Promise<HTMLCanvasElement>} - Rendered layers
+     */
+    async renderLayers(generator, config, layers, vectorSVG, uploadedBannerDataURL, raster) {
+        const canvas = generator.createCanvas(raster.width, raster.height);
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+
+        // Banner pixels from here on; the bleed is outside 0..w / 0..h
+        ctx.translate(raster.bleedPixels, raster.bleedPixels);
+        ctx.scale(raster.scale, raster.scale);
+        const bleed = raster.bleedPixels / raster.scale;
+        const printConfig = { ...config, renderScale: raster.scale };
+
+        for (const layer of layers) {
+            ctx.save();
+            ctx.globalAlpha = layer.opacity / 100;
+            if (layer.type === 'background' && layer.main) {
+                await this.drawBleedBackground(generator, ctx, config, uploadedBannerDataURL, bleed);
+            } else {
+                await generator.drawLayer(ctx, printConfig, layer, vectorSVG, uploadedBannerDataURL);
+            }
+            ctx.restore();
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Draw the main background across trim and bleed
+     * Templates are simply drawn larger; an uploaded image stays on the trim area as on
+     * screen and its edge pixels are stretched over the bleed
+     * @param {BannerGenerator} generator - Banner renderer
+     * @param {CanvasRenderingContext2D} ctx - Context in banner pixels
+     * @param {Object} config - Banner configuration
+     * @param {string|null} uploadedBannerDataURL - Optional uploaded banner background
+     * @param {number} bleed - Bleed in banner pixels
+     */
+    async drawBleedBackground(generator, ctx, config, uploadedBannerDataURL, bleed) {
+        const { w, h } = config;
+
+        if (config.mode !== 'upload' || !uploadedBannerDataURL) {
+            ctx.translate(-bleed, -bleed);
+            generator.drawTemplateBackground(ctx, { ...config, w: w + bleed * 2, h: h + bleed * 2 });
+            return;
+        }
+
+        const img = await generator.loadImage(uploadedBannerDataURL);
+        const iw = img.width;
+        const ih = img.height;
+        ctx.drawImage(img, 0, 0, w, h);
+        if (bleed <= 0) return;
+
+        // Edges: 1px strips of the image; corners: its corner pixels
+        [
+            [0, 0, iw, 1, 0, -bleed, w, bleed],
+            [0, ih - 1, iw, 1, 0, h, w, bleed],
+            [0, 0, 1, ih, -bleed, 0, bleed, h],
+            [iw - 1, 0, 1, ih, w, 0, bleed, h],
+            [0, 0, 1, 1, -bleed, -bleed, bleed, bleed],
+            [iw - 1, 0, 1, 1, w, -bleed, bleed, bleed],
+            [0, ih - 1, 1, 1, -bleed, h, bleed, bleed],
+            [iw - 1, ih - 1, 1, 1, w, h, bleed, bleed]
+        ].forEach(args => ctx.drawImage(img, ...args));
+    }
+
+    /**
+     * Split a canvas into deflated RGB samples and an alpha mask (only if needed)
+     * @param {HTMLCanvasElement} canvas - Rendered layers
+     * @returns {Promise<{width: number, height: number, rgb: Uint8Array, alpha: Uint8Array|null}>}
+     */
+    async encodeImage(canvas) {
+        const { width, height } = canvas;
+        const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+        const rgb = new Uint8Array(width * height * 3);
+        const alpha = new Uint8Array(width * height);
+        let opaque = true;
+
+        for (let p = 0; p < alpha.length; p++) {
+            rgb[p * 3] = data[p * 4];
+            rgb[p * 3 + 1] = data[p * 4 + 1];
+            rgb[p * 3 + 2] = data[p * 4 + 2];
+            alpha[p] = data[p * 4 + 3];
+            if (alpha[p] !== 255) opaque = false;
+        }
+
+        return {
+            width, height,
+            rgb: await deflate(rgb),
+            alpha: opaque ? null : await deflate(alpha)
+        };
+    }
+
+    /**
+     * PDF operators drawing a logo layer as filled paths
+     * Placement, rotation and flip match BannerGenerator.drawLogo
+     * @param {BannerGenerator} generator - Provides the placement
+     * @param {Object} config - Banner configuration
+     * @param {Object} layer - Logo layer
+     * @param {Object} vector - Logo paths from readVectorPaths
+     * @returns {string} - Operators in banner pixel coordinates
+     */
+    logoOperators(generator, config, layer, vector) {
+        const logoConfig = layer.main ? config : {
+            ...config, logoPos: layer.pos, logoSizePct: layer.size, logoX: layer.x, logoY: layer.y
+        };
+        const [minX, minY, width, height] = vector.viewBox;
+        const box = generator.placeBox(logoConfig, logoConfig.logoPos, logoConfig.logoSizePct, width / height,
+            { x: logoConfig.logoX, y: logoConfig.logoY });
+        const k = box.width / width;
+
+        const angle = config.logoRotation * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const matrix = (...m) => `${m.map(num).join(' ')} cm`;
+
+        const ops = [
+            matrix(1, 0, 0, 1, box.x + box.width / 2, box.y + box.height / 2),
+            matrix(cos, sin, -sin, cos, 0, 0),
+            matrix(config.logoFlipH ? -1 : 1, 0, 0, config.logoFlipV ? -1 : 1, 0, 0),
+            matrix(k, 0, 0, k, -box.width / 2 - minX * k, -box.height / 2 - minY * k)
+        ];
+
+        vector.paths.forEach(path => {
+            const [r, g, b] = hexToRgb(path.color).map(c => num(c / 255));
+            ops.push(`${r} ${g} ${b} rg`, pathOperators(path.d), path.evenOdd ? 'f*' : 'f');
+        });
+
+        return ops.join('\n');
+    }
+
+    /**
+     * Crop marks at the trim corners, outside the bleed, in registration color
+     * @param {Object} layout - Page layout from pageLayout
+     * @returns {string} - PDF operators
+     */
+    cropMarks({ trimWidth, trimHeight, bleed, margin }) {
+        const start = bleed + MARK_GAP;
+        const end = start + MARK_LENGTH;
+        const lines = [];
+
+        [margin, margin + trimWidth].forEach((x, i) => {
+            [margin, margin + trimHeight].forEach((y, j) => {
+                const dx = i ? 1 : -1; // Marks point away from the trim area
+                const dy = j ? 1 : -1;
+                lines.push(`${num(x + dx * start)} ${num(y)} m ${num(x + dx * end)} ${num(y)} l`);
+                lines.push(`${num(x)} ${num(y + dy * start)} m ${num(x)} ${num(y + dy * end)} l`);
+            });
+        });
+
+        return `q 0.25 w 1 1 1 1 K\n${lines.join('\n')}\nS Q`;
+    }
+}
@@ -0,0 +1,344 @@
+/**
+ * SVG BANNER RENDERER MODULE
+ *
+ * Renders the banner layer stack as an editable SVG document for Figma, Illustrator etc.:
+ * - Template backgrounds as native <linearGradient> and <pattern> fills
+ * - Text as <text> elements in the chosen font
+ * - The logo as an inline vector group, with its effects as SVG filters
+ * - Uploaded backgrounds and image layers as embedded images
+ * Sizes, positions and line breaks come from BannerGenerator, so the SVG matches the PNG.
+ */
+
+import { escapeHTML } from './utils.js';
+import { getAsset } from './layers.js';
+
+// Round coordinates to keep the markup short
+const num = (value) => +value.toFixed(2);
+
+/**
+ * Give every id in an SVG element tree a prefix and update the references to it
+ * Keeps the gradients of several logo copies from clashing in one document
+ * @param {Element} root - Parsed SVG element
+ * @param {string} prefix - Prefix to add
+ */
+function prefixIds(root, prefix) {
+    const elements = [root, ...root.querySelectorAll('*')];
+    const ids = new Set(elements.filter(el => el.id).map(el => el.id));
+    if (!ids.size) return;
+
+    const rename = (id) => ids.has(id) ? prefix + id : id;
+    elements.forEach(el => {
+        Array.from(el.attributes).forEach(attr => {
+            if (attr.name === 'id') {
+                el.setAttribute('id', rename(attr.value));
+            } else if (/(^|:)href$/.test(attr.name) && attr.value.startsWith('#')) {
+                el.setAttributeNS(attr.namespaceURI, attr.name, '#' + rename(attr.value.slice(1)));
+            } else if (attr.value.includes('url(')) {
+                el.setAttributeNS(attr.namespaceURI, attr.name,
+                    attr.value.replace(/url\(\s*#([^)\s]+)\s*\)/g, (m, id) => `url(#${rename(id)})`));
+            }
+        });
+    });
+}
+
+export class SVGBannerRenderer {
+    /**
+     * @param {BannerGenerator} generator - Provides layout (slots, text wrapping, fonts)
+     */
+    constructor(generator) {
+        this.generator = generator;
+        this.defs = [];         // <defs> content of the document being rendered
+        this.idCounter = 0;     // Unique ids for gradients, patterns and filters
+    }
+
+    /**
+     * Render the banner as SVG markup
+     * @param {Object} config - Banner configuration (same as generateBanner)
+     * @param {string} vectorSVG - SVG content for the logo
+     * @param {string|null} uploadedBannerDataURL - Optional uploaded banner background
+     * @returns {Promise<string>} - Standalone SVG document
+     */
+    async render(config, vectorSVG, uploadedBannerDataURL = null) {
+        this.defs = [];
+        this.idCounter = 0;
+
+        // Text is measured on a canvas exactly like the PNG renderer does
+        const ctx = this.generator.createCanvas(1, 1).getContext('2d');
+
+        const layers = [];
+        for (const layer of config.layers) {
+            if (!layer.visible) continue;
+
+            const content = await this.renderLayer(ctx, config, layer, vectorSVG, uploadedBannerDataURL);
+            if (!content) continue;
+
+            const opacity = layer.opacity < 100 ? ` opacity="${layer.opacity / 100}"` : '';
+            layers.push(`<g id="${layer.id}" data-name="${escapeHTML(layer.name)}"${opacity}>${content}</g>`);
+        }
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+            `width="${config.w}" height="${config.h}" viewBox="0 0 ${config.w} ${config.h}">`,
+            this.defs.length ? `<defs>${this.defs.join('')}</defs>` : '',
+            ...layers,
+            '</svg>'
+        ].join('\n');
+    }
+
+    /**
+     * Reserve an id for a definition
+     * @param {string} name - Kind of definition, e.g. 'gradient'
+     * @returns {string} - Unique id
+     */
+    nextId(name) {
+        return `${name}-${++this.idCounter}`;
+    }
+
+    /**
+     * Render one layer of the stack
+     * @param {CanvasRenderingContext2D} ctx - Context used to measure text
+     * @param {Object} config - Banner configuration
+     * @param {Object} layer - Layer to render
+     * @param {string} vectorSVG - SVG content for logo layers
+     * @param {string|null} uploadedBannerDataURL - Optional uploaded banner background
+     * @returns {Promise<string>} - Layer markup (empty if there is nothing to draw)
+     */
+    async renderLayer(ctx, config, layer, vectorSVG, uploadedBannerDataURL) {
+        const generator = this.generator;
+
+        switch (layer.type) {
+            case 'background': {
+                if (layer.main) {
+                    return config.mode === 'upload' && uploadedBannerDataURL
+                        ? this.image(uploadedBannerDataURL, { x: 0, y: 0, width: config.w, height: config.h })
+                        : this.templateBackground(config);
+                }
+
+                const box = generator.placeBox(config, layer.pos, layer.size, config.w / config.h, layer);
+                const background = this.templateBackground({
+                    ...config, w: box.width, h: box.height,
+                    template: layer.template, bg: layer.bg, grad: layer.grad
+                });
+                return `<g transform="translate(${num(box.x)} ${num(box.y)})">${background}</g>`;
+            }
+
+            case 'text': {
+                if (layer.main) {
+                    if (!config.text && !config.subtitle) return '';
+                    const fonts = generator.textFonts(config);
+                    await document.fonts.load(fonts.title(config.fs), config.text || 'A');
+                    await document.fonts.load(fonts.subtitle(config.subFs), config.subtitle || 'A');
+                    return this.text(ctx, config);
+                }
+
+                if (!layer.text) return '';
+                const { textConfig, boxLeft } = generator.textLayerSettings(config, layer);
+                await document.fonts.load(generator.textFonts(textConfig).title(layer.fontSize), layer.text);
+                return this.text(ctx, textConfig, boxLeft);
+            }
+
+            case 'logo':
+                return this.logo(layer.main ? config : {
+                    ...config, logoPos: layer.pos, logoSizePct: layer.size, logoX: layer.x, logoY: layer.y
+                }, vectorSVG, `${layer.id}-`);
+
+            case 'image': {
+                const src = getAsset(layer.asset);
+                if (!src) return '';
+                const img = await generator.loadImage(src);
+                return this.image(src, generator.placeBox(config, layer.pos, layer.size, img.width / img.height, layer));
+            }
+
+            case 'shape':
+                return this.shape(config, layer);
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Template background (solid, gradient or checkerboard pattern) covering config.w × config.h
+     * @param {Object} config - Background settings: template, bg, grad, w, h
+     * @returns {string} - Background markup
+     */
+    templateBackground(config) {
+        const size = `width="${num(config.w)}" height="${num(config.h)}"`;
+
+        if (config.template === 'solid') {
+            return `<rect ${size} fill="${config.bg}"/>`;
+        }
+
+        if (config.template === 'gradient') {
+            // Corner to opposite corner, like the canvas gradient
+            const id = this.nextId('gradient');
+            this.defs.push(
+                `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="${num(config.w)}" y2="${num(config.h)}">` +
+                `<stop offset="0" stop-color="${config.bg}"/><stop offset="1" stop-color="${config.grad}"/>` +
+                '</linearGradient>'
+            );
+            return `<rect ${size} fill="url(#${id})"/>`;
+        }
+
+        // Checkerboard: 20px squares every 40px on alternating rows, so the tile repeats every 80px
+        const id = this.nextId('pattern');
+        this.defs.push(
+            `<pattern id="${id}" patternUnits="userSpaceOnUse" width="80" height="80">` +
+            `<g fill="${config.grad}" fill-opacity="0.2">` +
+            '<rect width="20" height="20"/><rect x="40" y="40" width="20" height="20"/>' +
+            '</g></pattern>'
+        );
+        return `<rect ${size} fill="${config.bg}"/><rect ${size} fill="url(#${id})"/>`;
+    }
+
+    /**
+     * Embedded image stretched to a box
+     * @param {string} src - Image data URL
+     * @param {{x: number, y: number, width: number, height: number}} box - Target box
+     * @returns {string} - Image markup
+     */
+    image(src, { x, y, width, height }) {
+        // xlink:href is still the form most design tools read
+        return `<image x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}" ` +
+            `preserveAspectRatio="none" xlink:href="${src}"/>`;
+    }
+
+    /**
+     * Text block as one <text> element per line
+     * @param {CanvasRenderingContext2D} ctx - Context used to measure text
+     * @param {Object} config - Text configuration (see BannerGenerator.layoutText)
+     * @param {number|null} boxLeft - Left edge of the text box (null = centered on the banner)
+     * @returns {string} - Text markup
+     */
+    text(ctx, config, boxLeft = null) {
+        const { x, align, lines } = this.generator.layoutText(ctx, config, boxLeft);
+        const anchor = { left: 'start', center: 'middle', right: 'end' }[align];
+
+        const family = escapeHTML(`'${config.fontFamily}', sans-serif`);
+        const style = config.fontItalic ? ' font-style="italic"' : '';
+        const elements = lines.map(line =>
+            `<text x="${num(x)}" y="${num(line.y)}" font-size="${line.size}" font-weight="${line.weight}" ` +
+            `fill="${line.color}">${escapeHTML(line.text)}</text>`
+        );
+
+        return `<g font-family="${family}"${style} text-anchor="${anchor}" dominant-baseline="central">` +
+            `${elements.join('')}</g>`;
+    }
+
+    /**
+     * Logo as an inline group with its placement, transform and effects
+     * @param {Object} config - Banner configuration (logo position, size and effects)
+     * @param {string} vectorSVG - Logo SVG markup
+     * @param {string} idPrefix - Prefix for ids inside the logo (unique per logo layer)
+     * @returns {string} - Logo markup
+     */
+    logo(config, vectorSVG, idPrefix) {
+        const doc = new DOMParser().parseFromString(vectorSVG, 'image/svg+xml');
+        const root = doc.documentElement;
+        const [minX, minY, width, height] = (root.getAttribute('viewBox') || '0 0 300 150')
+            .split(/[\s,]+/)
+            .map(Number);
+        prefixIds(root, idPrefix);
+
+        // Same box as the PNG renderer gives the logo
+        const box = this.generator.placeBox(config, config.logoPos, config.logoSizePct, width / height,
+            { x: config.logoX, y: config.logoY });
+        const scale = box.width / width;
+
+        // Move the logo's content into a group that keeps the root's own styling (fill etc.)
+        const group = doc.createElementNS(root.namespaceURI, 'g');
+        Array.from(root.attributes).forEach(attr => {
+            if (!/^(xmlns(:.*)?|version|width|height|viewBox|x|y|preserveAspectRatio)$/.test(attr.name)) {
+                group.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+            }
+        });
+        while (root.firstChild) group.appendChild(root.firstChild);
+
+        // Rotate and flip around the logo center, then map the viewBox onto the box
+        group.setAttribute('transform', [
+            `translate(${num(box.x + box.width / 2)} ${num(box.y + box.height / 2)})`,
+            `rotate(${config.logoRotation})`,
+            `scale(${config.logoFlipH ? -1 : 1} ${config.logoFlipV ? -1 : 1})`,
+            `translate(${num(-box.width / 2)} ${num(-box.height / 2)})`,
+            `scale(${+scale.toFixed(5)})`,
+            `translate(${-minX} ${-minY})`
+        ].join(' '));
+
+        // Effects go on an outer group so the shadow offset isn't rotated (as on the canvas)
+        const filter = this.logoFilter(config);
+        const attrs = [
+            filter ? `filter="url(#${filter})"` : '',
+            config.logoOpacity < 100 ? `opacity="${config.logoOpacity / 100}"` : '',
+            config.logoBlend !== 'source-over' ? `style="mix-blend-mode:${config.logoBlend}"` : ''
+        ].filter(Boolean).join(' ');
+
+        return `<g${attrs ? ' ' + attrs : ''}>${new XMLSerializer().serializeToString(group)}</g>`;
+    }
+
+    /**
+     * Define a filter for the logo's outline, glow and drop shadow
+     * @param {Object} config - Banner configuration (outline, glow and shadow settings)
+     * @returns {string|null} - Filter id, or null when no effect is on
+     */
+    logoFilter(config) {
+        const steps = [];
+        let result = 'SourceGraphic';
+
+        // Outline: the silhouette grown by the outline width, behind the logo
+        if (config.outlineWidth > 0) {
+            steps.push(
+                `<feMorphology in="SourceAlpha" operator="dilate" radius="${config.outlineWidth}" result="spread"/>`,
+                `<feFlood flood-color="${config.outlineColor}"/>`,
+                '<feComposite in2="spread" operator="in" result="outline"/>',
+                '<feMerge result="outlined"><feMergeNode in="outline"/><feMergeNode in="SourceGraphic"/></feMerge>'
+            );
+            result = 'outlined';
+        }
+
+        // Glow: blurred colored silhouette, doubled for strength like the canvas version
+        if (config.glowSize > 0) {
+            steps.push(
+                `<feGaussianBlur in="${result}" stdDeviation="${config.glowSize / 2}" result="blur"/>`,
+                `<feFlood flood-color="${config.glowColor}"/>`,
+                '<feComposite in2="blur" operator="in" result="glow"/>',
+                `<feMerge result="glowing"><feMergeNode in="glow"/><feMergeNode in="glow"/><feMergeNode in="${result}"/></feMerge>`
+            );
+            result = 'glowing';
+        }
+
+        // Canvas shadow blur is about twice the Gaussian standard deviation
+        if (config.shadowOn) {
+            steps.push(
+                `<feDropShadow in="${result}" dx="${config.shadowX}" dy="${config.shadowY}" ` +
+                `stdDeviation="${config.shadowBlur / 2}" flood-color="${config.shadowColor}"/>`
+            );
+        }
+
+        if (!steps.length) return null;
+
+        const id = this.nextId('logo-effects');
+        this.defs.push(
+            `<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%" color-interpolation-filters="sRGB">` +
+            `${steps.join('')}</filter>`
+        );
+        return id;
+    }
+
+    /**
+     * Shape layer as a native rectangle or ellipse
+     * @param {Object} config - Banner configuration
+     * @param {Object} layer - Shape layer
+     * @returns {string} - Shape markup
+     */
+    shape(config, layer) {
+        const aspect = layer.shape === 'circle' ? 1 : config.w / config.h;
+        const { x, y, width, height } = this.generator.placeBox(config, layer.pos, layer.size, aspect, layer);
+
+        if (layer.shape === 'rect' || layer.shape === 'rounded') {
+            const radius = layer.shape === 'rounded' ? ` rx="${num(Math.min(width, height) * 0.2)}"` : '';
+            return `<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}"${radius} fill="${layer.color}"/>`;
+        }
+        return `<ellipse cx="${num(x + width / 2)}" cy="${num(y + height / 2)}" rx="${num(width / 2)}" ` +
+            `ry="${num(height / 2)}" fill="${layer.color}"/>`;
+    }
+}
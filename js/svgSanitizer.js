@@ -0,0 +1,241 @@
+/**
+ * SVG SANITIZER MODULE
+ *
+ * Makes uploaded SVG logos safe to inline and reuse:
+ * - Strips scripts, embedded documents and event handler attributes
+ * - Removes references to external resources (links, stylesheets, images)
+ * - Normalizes the root element so it scales like traced vectors
+ * - Sizing helpers for rasterizing SVG markup
+ * - Cropping through the viewBox
+ * - Monochrome recoloring and background tiles for logo variants
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Elements that can run code or pull in other documents
+const BLOCKED_ELEMENTS = ['script', 'foreignObject', 'iframe', 'embed', 'object', 'audio', 'video', 'canvas'];
+
+// Only same-document fragments and inline raster images may be referenced
+const SAFE_HREF = /^(#|data:image\/(png|jpe?g|gif|webp);)/i;
+
+// url(...) references that point outside the document
+const EXTERNAL_URL = /url\(\s*['"]?(?!#)[^)]*\)/gi;
+
+/**
+ * Sanitize SVG markup from an untrusted upload
+ * @param {string} text - Raw SVG file contents
+ * @returns {{svg: string, width: number, height: number}} - Clean markup (sized to
+ *          100% of its container) and the drawing's natural size from its viewBox
+ * @throws {Error} - If the file is not a valid SVG document
+ */
+export function sanitizeSVG(text) {
+    const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+    const root = doc.documentElement;
+
+    if (doc.querySelector('parsererror') || root.localName !== 'svg' || root.namespaceURI !== SVG_NS) {
+        throw new Error('Invalid SVG file');
+    }
+
+    // Drop elements that can execute code or embed other documents
+    BLOCKED_ELEMENTS.forEach(tag => {
+        Array.from(doc.getElementsByTagNameNS('*', tag)).forEach(el => el.remove());
+    });
+
+    // Keep only elements and text: comments and processing instructions can end early
+    // when the markup is parsed as HTML; CDATA (usually stylesheets) becomes plain text
+    const walker = doc.createTreeWalker(root, NodeFilter.SHOW_ALL);
+    const strayNodes = [];
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.TEXT_NODE) strayNodes.push(node);
+    }
+    strayNodes.forEach(node => {
+        if (node.nodeType === Node.CDATA_SECTION_NODE) {
+            node.replaceWith(doc.createTextNode(node.data));
+        } else {
+            node.remove();
+        }
+    });
+
+    // Animations could swap in unsafe links after sanitizing
+    doc.querySelectorAll('set, animate').forEach(el => {
+        if (/href/i.test(el.getAttribute('attributeName') || '')) el.remove();
+    });
+
+    // Stylesheets may import external resources
+    doc.querySelectorAll('style').forEach(el => {
+        el.textContent = el.textContent
+            .replace(/@import[^;]*;?/gi, '')
+            .replace(EXTERNAL_URL, 'none');
+    });
+
+    // Clean every attribute on every remaining element
+    [root, ...root.querySelectorAll('*')].forEach(el => {
+        Array.from(el.attributes).forEach(attr => {
+            const name = attr.name.toLowerCase();
+            const value = attr.value.trim();
+
+            if (name.startsWith('on') || /^\s*javascript:/i.test(value)) {
+                // Event handlers and script URLs
+                el.removeAttribute(attr.name);
+            } else if (name === 'href' || name === 'xlink:href' || name === 'src') {
+                // External links and images
+                if (!SAFE_HREF.test(value)) el.removeAttribute(attr.name);
+            } else if (name === 'style') {
+                el.setAttribute(attr.name, value.replace(EXTERNAL_URL, 'none'));
+            } else if (EXTERNAL_URL.test(value)) {
+                // Paint servers, filters, masks etc. pointing at other files
+                el.removeAttribute(attr.name);
+            }
+            EXTERNAL_URL.lastIndex = 0; // Reset global regex state between tests
+        });
+    });
+
+    // Natural size: viewBox first, then width/height, then the browser default
+    let width, height;
+    const viewBox = (root.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+    if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+        [, , width, height] = viewBox;
+    } else {
+        width = parseFloat(root.getAttribute('width')) || 300;
+        height = parseFloat(root.getAttribute('height')) || 150;
+        root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    }
+
+    // Scale to the container like traced vectors do
+    root.setAttribute('width', '100%');
+    root.setAttribute('height', '100%');
+
+    return { svg: new XMLSerializer().serializeToString(root), width, height };
+}
+
+/**
+ * Give SVG markup a fixed pixel size (needed to rasterize it at a known resolution)
+ * @param {string} svg - SVG markup
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {string} - SVG markup with explicit width/height
+ */
+export function sizeSVG(svg, width, height) {
+    const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+    doc.documentElement.setAttribute('width', width);
+    doc.documentElement.setAttribute('height', height);
+    return new XMLSerializer().serializeToString(doc.documentElement);
+}
+
+/**
+ * Read the natural size of SVG markup from its viewBox
+ * @param {string} svg - SVG markup
+ * @returns {{width: number, height: number}} - Drawing size in user units
+ */
+export function readSVGSize(svg) {
+    const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+    const [, , width, height] = (doc.documentElement.getAttribute('viewBox') || '0 0 300 150')
+        .split(/[\s,]+/)
+        .map(Number);
+    return { width: width || 300, height: height || 150 };
+}
+
+/**
+ * Crop SVG markup to an area of its rasterized copy by narrowing the viewBox
+ * @param {string} svg - SVG markup with a viewBox
+ * @param {{x: number, y: number, width: number, height: number}} rect - Area in raster pixels
+ * @param {number} rasterWidth - Width of the raster the rectangle refers to
+ * @param {number} rasterHeight - Height of the raster the rectangle refers to
+ * @returns {string} - Cropped SVG markup
+ */
+export function cropSVG(svg, rect, rasterWidth, rasterHeight) {
+    const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+    const root = doc.documentElement;
+    const [minX, minY, width, height] = (root.getAttribute('viewBox') || `0 0 ${rasterWidth} ${rasterHeight}`)
+        .split(/[\s,]+/)
+        .map(Number);
+
+    // Raster pixels → user units
+    const sx = width / rasterWidth;
+    const sy = height / rasterHeight;
+    const round = (v) => +v.toFixed(3);
+    root.setAttribute('viewBox', [
+        round(minX + rect.x * sx),
+        round(minY + rect.y * sy),
+        round(rect.width * sx),
+        round(rect.height * sy)
+    ].join(' '));
+
+    return new XMLSerializer().serializeToString(root);
+}
+
+// fill/stroke/stop-color declarations in style attributes and <style> sheets (except "none")
+const PAINT_DECLARATION = /(fill|stroke|stop-color)\s*:\s*(?!none\b)[^;}"]+/gi;
+
+/**
+ * Check whether SVG markup embeds bitmap images (which recoloring can't reach)
+ * @param {string} svg - SVG markup
+ * @returns {boolean} - Whether there is an <image> element
+ */
+export function hasEmbeddedImage(svg) {
+    const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+    return doc.getElementsByTagNameNS(SVG_NS, 'image').length > 0;
+}
+
+/**
+ * Recolor every painted shape in SVG markup with a single color
+ * Gradients and per-shape colors are replaced; unpainted parts ("none") stay unpainted
+ * @param {string} svg - SVG markup
+ * @param {string} color - Hex color for all fills and strokes
+ * @returns {string} - Monochrome SVG markup
+ */
+export function recolorSVG(svg, color) {
+    const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+    const root = doc.documentElement;
+
+    // Shapes without their own fill inherit this (the SVG default would be black)
+    root.setAttribute('fill', color);
+
+    [root, ...root.querySelectorAll('*')].forEach(el => {
+        ['fill', 'stroke'].forEach(attr => {
+            const value = el.getAttribute(attr);
+            if (value && value !== 'none') el.setAttribute(attr, color);
+        });
+        const style = el.getAttribute('style');
+        if (style) el.setAttribute('style', style.replace(PAINT_DECLARATION, `$1:${color}`));
+    });
+
+    doc.querySelectorAll('style').forEach(el => {
+        el.textContent = el.textContent.replace(PAINT_DECLARATION, `$1:${color}`);
+    });
+
+    // Gradient stops would still show through references that were missed
+    // (set as inline style, which wins over stylesheet rules; the attribute doesn't)
+    doc.querySelectorAll('stop').forEach(el => {
+        el.removeAttribute('stop-color');
+        el.setAttribute('style', `stop-color:${color}`);
+    });
+
+    return new XMLSerializer().serializeToString(root);
+}
+
+/**
+ * Put SVG markup on a solid tile with a margin around the drawing
+ * @param {string} svg - SVG markup with a viewBox
+ * @param {string} color - Tile color
+ * @param {number} padding - Margin on each side, as a fraction of the drawing's longer side
+ * @returns {string} - SVG markup with a larger viewBox and a background rectangle
+ */
+export function addBackgroundSVG(svg, color, padding = 0.15) {
+    const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+    const root = doc.documentElement;
+    const [x, y, width, height] = (root.getAttribute('viewBox') || '0 0 300 150').split(/[\s,]+/).map(Number);
+    const pad = +(Math.max(width, height) * padding).toFixed(3);
+
+    root.setAttribute('viewBox', `${x - pad} ${y - pad} ${width + pad * 2} ${height + pad * 2}`);
+
+    const rect = doc.createElementNS(SVG_NS, 'rect');
+    rect.setAttribute('x', x - pad);
+    rect.setAttribute('y', y - pad);
+    rect.setAttribute('width', width + pad * 2);
+    rect.setAttribute('height', height + pad * 2);
+    rect.setAttribute('fill', color);
+    root.insertBefore(rect, root.firstChild);
+
+    return new XMLSerializer().serializeToString(root);
+}
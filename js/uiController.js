@@ -8,13 +8,38 @@
  * - UI state updates and previews
  */
 
-import { $, $$, showMessage, validateHexColor } from './utils.js';
+import { $, $$, showMessage, validateHexColor, escapeHTML } from './utils.js';
+import { contrastRatio } from './colorUtils.js';
+import { countPathNodes } from './vectorTracer.js';
+import { BATCH_SIZES } from './batchExporter.js';
+
+// 3x3 position slots and their labels
+const POSITIONS = [
+    ['left-top', 'Left Top'], ['top-middle', 'Top Middle'], ['right-top', 'Right Top'],
+    ['left-middle', 'Left Middle'], ['center', 'Center'], ['right-middle', 'Right Middle'],
+    ['left-bottom', 'Left Bottom'], ['bottom-middle', 'Bottom Middle'], ['right-bottom', 'Right Bottom']
+];
+
+// Lines layers snap to on the banner preview (% of width or height): edges, thirds, center
+const SNAP_LINES = [0, 100 / 3, 50, 200 / 3, 100];
+const SNAP_DISTANCE = 6; // Screen pixels
+
+// Logo effect controls, by config key (each input's id matches its key)
+const EFFECT_SLIDERS = ['logoOpacity', 'logoRotation', 'shadowX', 'shadowY', 'shadowBlur', 'outlineWidth', 'glowSize'];
+const EFFECT_VALUES = ['shadowColor', 'outlineColor', 'glowColor', 'logoBlend'];
+const EFFECT_TOGGLES = ['logoFlipH', 'logoFlipV', 'shadowOn'];
 
 export class UIController {
     constructor(config) {
         this.config = config;   // Reference to shared configuration
         this.step = 1;          // Current step number
+        this.cropMode = false;  // Logo preview shows the crop selection tool
+        this.cropSelection = null; // Selected crop rectangle in image pixels
+        this.selectedLayer = null; // Banner layer whose properties are expanded
+        this.stageFocus = null; // Layer box to focus again once an edit has redrawn the preview
+        this.onStageEdit = null; // ({ id, x, y, scale }) when a layer is moved or resized on the preview
         this.initializePositionGrid();
+        this.initializeBatchSizes();
         this.bindEvents();
     }
 
@@ -23,19 +48,23 @@ export class UIController {
      * Creates buttons for all 9 possible logo positions
      */
     initializePositionGrid() {
-        // Define position values and labels for the 3x3 grid
-        const posNames = [
-            ['left-top', 'Left Top'], ['top-middle', 'Top Middle'], ['right-top', 'Right Top'],
-            ['left-middle', 'Left Middle'], ['center', 'Center'], ['right-middle', 'Right Middle'],
-            ['left-bottom', 'Left Bottom'], ['bottom-middle', 'Bottom Middle'], ['right-bottom', 'Right Bottom']
-        ];
-        
         // Generate HTML for position buttons (center is active by default)
-        $('#posGrid').innerHTML = posNames.map(([v, l]) =>
+        $('#posGrid').innerHTML = POSITIONS.map(([v, l]) =>
             `<button class="btn-pos${v === 'center' ? ' active' : ''}" data-pos="${v}">${l}</button>`
         ).join('');
     }
 
+    /**
+     * Create a checkbox per batch export size (all selected by default)
+     */
+    initializeBatchSizes() {
+        $('#batchSizes').innerHTML = BATCH_SIZES.map(size => `
+            <label class="inline" style="gap:6px">
+                <input type="checkbox" data-batch-size="${size.id}" checked /> ${size.label} ${size.w}×${size.h}
+            </label>`
+        ).join('');
+    }
+
     /**
      * Bind all event listeners for UI controls
      * Organizes events by functionality for maintainability
@@ -43,11 +72,16 @@ export class UIController {
     bindEvents() {
         this.bindStepNavigation();
         this.bindColorControls();
+        this.bindColorModeControls();
+        this.bindFillControls();
         this.bindSliderControls();
         this.bindBannerControls();
+        this.bindEffectControls();
         this.bindModeControls();
         this.bindPositionControls();
         this.bindTemplateControls();
+        this.bindExportControls();
+        this.bindPrintControls();
     }
 
     /**
@@ -89,6 +123,83 @@ export class UIController {
         }
     }
 
+    /**
+     * Bind color mode events
+     * Switches between single-color and multi-color layer vectorization
+     */
+    bindColorModeControls() {
+        $$('input[name="colorMode"]').forEach(r => {
+            r.addEventListener('change', () => {
+                this.config.colorMode = $('input[name="colorMode"]:checked').value;
+                this.toggleColorModeControls();
+            });
+        });
+
+        // Number of colors for multi-color quantization
+        $('#colorCount').addEventListener('input', (e) => {
+            this.config.colorCount = +e.target.value;
+            $('#colorCountVal').textContent = this.config.colorCount;
+        });
+    }
+
+    /**
+     * Bind logo fill events
+     * Fill type (solid, gradient, two-tone), gradient colors and angle
+     */
+    bindFillControls() {
+        $('#fillType').addEventListener('change', (e) => {
+            this.config.fillType = e.target.value;
+            this.toggleFillControls();
+        });
+
+        // Gradient stop colors
+        ['fillStart', 'fillMid', 'fillEnd'].forEach(key => {
+            $('#' + key).addEventListener('input', (e) => {
+                this.config[key] = e.target.value;
+            });
+        });
+        $('#fillMidStop').addEventListener('change', (e) => {
+            this.config.fillMidStop = e.target.checked;
+        });
+
+        $('#fillAngle').addEventListener('input', (e) => {
+            this.config.fillAngle = +e.target.value;
+            $('#fillAngleVal').textContent = this.config.fillAngle + '°';
+        });
+    }
+
+    /**
+     * Show gradient controls for gradient fills (angle only for directional ones)
+     */
+    toggleFillControls() {
+        const type = this.config.fillType;
+        $('#gradientControls').style.display = type === 'solid' ? 'none' : 'block';
+        $('#fillAngleRow').style.display = type === 'radial' ? 'none' : 'flex';
+    }
+
+    /**
+     * Sync the fill controls with the config
+     */
+    updateFillInputs() {
+        $('#fillType').value = this.config.fillType;
+        $('#fillStart').value = this.config.fillStart;
+        $('#fillMid').value = this.config.fillMid;
+        $('#fillMidStop').checked = this.config.fillMidStop;
+        $('#fillEnd').value = this.config.fillEnd;
+        $('#fillAngle').value = this.config.fillAngle;
+        $('#fillAngleVal').textContent = this.config.fillAngle + '°';
+        this.toggleFillControls();
+    }
+
+    /**
+     * Show the controls that belong to the current color mode
+     */
+    toggleColorModeControls() {
+        const multi = this.config.colorMode === 'multi';
+        $('#multiColorControls').style.display = multi ? 'block' : 'none';
+        $('#singleColorControls').style.display = multi ? 'none' : 'block';
+    }
+
     /**
      * Bind slider control events
      * Handles threshold, font size, and logo size sliders
@@ -97,14 +208,63 @@ export class UIController {
         // Bitmap threshold slider
         $('#threshold').addEventListener('input', (e) => {
             this.config.threshold = +e.target.value;
-            const labels = {
-                '0.3': 'Light',
-                '0.4': 'Soft',
-                '0.5': 'Normal',
-                '0.6': 'Strong',
-                '0.7': 'Sharp'
-            };
-            $('#thresholdVal').textContent = labels[e.target.value] || 'Normal';
+            $('#thresholdVal').textContent = this.thresholdLabel(this.config.threshold);
+        });
+
+        // Threshold method: manual slider, automatic (Otsu) or adaptive
+        $('#thresholdMode').addEventListener('change', (e) => {
+            this.config.thresholdMode = e.target.value;
+            this.updateThresholdControls();
+        });
+
+        // Background removal tolerance
+        $('#bgTolerance').addEventListener('input', (e) => {
+            this.config.bgTolerance = +e.target.value;
+            $('#bgToleranceVal').textContent = this.config.bgTolerance + '%';
+        });
+        $('#autoRemoveBg').addEventListener('change', (e) => {
+            this.config.autoRemoveBg = e.target.checked;
+        });
+
+        // Auto-trim padding around the logo content
+        $('#trimPadding').addEventListener('input', (e) => {
+            this.config.trimPadding = +e.target.value;
+            $('#trimPaddingVal').textContent = this.config.trimPadding + '% padding';
+        });
+        $('#autoTrim').addEventListener('change', (e) => {
+            this.config.autoTrim = e.target.checked;
+        });
+
+        // Background for touch / Android icons in the icon pack
+        $('#iconBg').addEventListener('input', (e) => {
+            this.config.iconBg = e.target.value;
+        });
+
+        // Curve fitting sliders
+        $('#smoothness').addEventListener('input', (e) => {
+            this.config.smoothness = +e.target.value;
+            $('#smoothnessVal').textContent = this.config.smoothness + '%';
+        });
+        $('#detail').addEventListener('input', (e) => {
+            this.config.detail = +e.target.value;
+            $('#detailVal').textContent = this.detailLabel(this.config.detail);
+        });
+
+        // Bitmap cleanup sizes
+        $('#speckSize').addEventListener('input', (e) => {
+            this.config.speckSize = Math.max(1, +e.target.value || 1);
+        });
+        $('#holeSize').addEventListener('input', (e) => {
+            this.config.holeSize = Math.max(1, +e.target.value || 1);
+        });
+        $('#morphRadius').addEventListener('input', (e) => {
+            this.config.morphRadius = +e.target.value;
+            $('#morphRadiusVal').textContent = this.config.morphRadius + 'px';
+        });
+
+        // Invert for light-on-dark logos
+        $('#invertBitmap').addEventListener('change', (e) => {
+            this.config.invertBitmap = e.target.checked;
         });
 
         // Font size slider with live preview
@@ -120,6 +280,69 @@ export class UIController {
         });
     }
 
+    /**
+     * Human-readable label for a manual threshold value
+     * @param {number} value - Threshold (0-1)
+     * @returns {string} - Named level, or the numeric value
+     */
+    thresholdLabel(value) {
+        const labels = {
+            '0.3': 'Light',
+            '0.4': 'Soft',
+            '0.5': 'Normal',
+            '0.6': 'Strong',
+            '0.7': 'Sharp'
+        };
+        return labels[String(value)] || value.toFixed(2);
+    }
+
+    /**
+     * Label for the detail slider
+     * @param {number} value - Detail (0-100)
+     * @returns {string} - Percentage, or "Exact" for pixel-exact outlines
+     */
+    detailLabel(value) {
+        return value >= 100 ? 'Exact' : value + '%';
+    }
+
+    /**
+     * Measure an SVG's weight
+     * @param {string} svg - SVG markup
+     * @returns {{nodes: number, kb: string}} - Path node count and size in KB
+     */
+    vectorStats(svg) {
+        const bytes = new Blob([svg]).size;
+        return { nodes: countPathNodes(svg), kb: (bytes / 1024).toFixed(1) };
+    }
+
+    /**
+     * Sync threshold slider state with the selected threshold method
+     * The slider only applies in manual mode; other modes compute their own value
+     */
+    updateThresholdControls() {
+        const manual = this.config.thresholdMode === 'fixed';
+        $('#threshold').disabled = !manual;
+        // Other modes move the slider to their computed cutoff; put the manual value back
+        if (manual) $('#threshold').value = this.config.threshold;
+        $('#thresholdVal').textContent = manual
+            ? this.thresholdLabel(this.config.threshold)
+            : (this.config.thresholdMode === 'otsu' ? 'Auto' : 'Adaptive');
+    }
+
+    /**
+     * Show the threshold that was computed for the last bitmap
+     * @param {Object|null} applied - Applied threshold info from LogoProcessor
+     */
+    showAppliedThreshold(applied) {
+        if (!applied || applied.method === 'fixed') return;
+
+        // Move the (disabled) slider to the computed global cutoff
+        $('#threshold').value = applied.threshold;
+        $('#thresholdVal').textContent = applied.method === 'otsu'
+            ? `Auto · ${applied.threshold.toFixed(2)}`
+            : `Adaptive · ${applied.blockSize}px (${applied.threshold.toFixed(2)})`;
+    }
+
     /**
      * Bind banner configuration controls
      * Handles dimensions, colors, and text settings
@@ -136,15 +359,270 @@ export class UIController {
         // Text settings
         $('#txt').addEventListener('input', (e) => this.config.text = e.target.value);
         $('#tcol').addEventListener('input', (e) => this.config.tcol = e.target.value);
+        $('#textAlign').addEventListener('change', (e) => this.config.textAlign = e.target.value);
+
+        // Font family, weight and style
+        $('#fontFamily').addEventListener('change', (e) => this.config.fontFamily = e.target.value);
+        $('#fontWeight').addEventListener('change', (e) => this.config.fontWeight = +e.target.value);
+        $('#fontItalic').addEventListener('change', (e) => this.config.fontItalic = e.target.checked);
+        $('#lineHeight').addEventListener('input', (e) => {
+            this.config.lineHeight = +e.target.value;
+            $('#lineHeightVal').textContent = this.config.lineHeight.toFixed(1) + '×';
+        });
+        $('#textMaxWidth').addEventListener('input', (e) => {
+            this.config.textMaxWidth = +e.target.value;
+            $('#textMaxWidthVal').textContent = this.config.textMaxWidth + '%';
+        });
+        $('#textAutoFit').addEventListener('change', (e) => {
+            this.config.textAutoFit = e.target.checked;
+            $('#textBoxHeightRow').style.display = e.target.checked ? 'flex' : 'none';
+        });
+        $('#textBoxHeight').addEventListener('input', (e) => {
+            this.config.textBoxHeight = +e.target.value;
+            $('#textBoxHeightVal').textContent = this.config.textBoxHeight + '%';
+        });
+
+        // Subtitle
+        $('#subtitle').addEventListener('input', (e) => this.config.subtitle = e.target.value);
+        $('#subCol').addEventListener('input', (e) => this.config.subCol = e.target.value);
+        $('#subFs').addEventListener('input', (e) => {
+            this.config.subFs = +e.target.value;
+            $('#subFsVal').textContent = this.config.subFs + 'px';
+        });
 
         // Text position radio buttons
         $$('input[name="tpos"]').forEach(r => {
             r.addEventListener('change', () => {
                 this.config.tpos = $('input[name="tpos"]:checked').value;
+                this.config.textX = this.config.textY = null;
+            });
+        });
+    }
+
+    /**
+     * Sync the font, text layout and subtitle controls with the config
+     */
+    updateTextLayoutInputs() {
+        $('#fontFamily').value = this.config.fontFamily;
+        $('#fontWeight').value = this.config.fontWeight;
+        $('#fontItalic').checked = this.config.fontItalic;
+        $('#textAlign').value = this.config.textAlign;
+        $('#lineHeight').value = this.config.lineHeight;
+        $('#lineHeightVal').textContent = this.config.lineHeight.toFixed(1) + '×';
+        $('#textMaxWidth').value = this.config.textMaxWidth;
+        $('#textMaxWidthVal').textContent = this.config.textMaxWidth + '%';
+        $('#textAutoFit').checked = this.config.textAutoFit;
+        $('#textBoxHeight').value = this.config.textBoxHeight;
+        $('#textBoxHeightVal').textContent = this.config.textBoxHeight + '%';
+        $('#textBoxHeightRow').style.display = this.config.textAutoFit ? 'flex' : 'none';
+        $('#subtitle').value = this.config.subtitle;
+        $('#subCol').value = this.config.subCol;
+        $('#subFs').value = this.config.subFs;
+        $('#subFsVal').textContent = this.config.subFs + 'px';
+    }
+
+    /**
+     * Add an uploaded font family to the font picker
+     * @param {string} family - Family name
+     */
+    addFontOption(family) {
+        const select = $('#fontFamily');
+        if (Array.from(select.options).some(option => option.value === family)) return;
+
+        const option = document.createElement('option');
+        option.value = family;
+        option.textContent = `${family} (uploaded)`;
+        select.appendChild(option);
+    }
+
+    /**
+     * Bind logo effect events
+     * Opacity, rotation, flip, blend mode, drop shadow, outline and glow
+     */
+    bindEffectControls() {
+        // Sliders with a value chip
+        EFFECT_SLIDERS.forEach(key => {
+            $('#' + key).addEventListener('input', (e) => {
+                this.config[key] = +e.target.value;
+                $(`#${key}Val`).textContent = this.effectLabel(key);
+            });
+        });
+
+        // Colors and blend mode
+        EFFECT_VALUES.forEach(key => {
+            $('#' + key).addEventListener('input', (e) => {
+                this.config[key] = e.target.value;
+            });
+        });
+
+        // Toggles
+        EFFECT_TOGGLES.forEach(key => {
+            $('#' + key).addEventListener('change', (e) => {
+                this.config[key] = e.target.checked;
             });
         });
     }
 
+    /**
+     * Label for a logo effect slider
+     * @param {string} key - Config key of the effect
+     * @returns {string} - Display value with unit
+     */
+    effectLabel(key) {
+        const value = this.config[key];
+        if (key === 'logoOpacity') return value + '%';
+        if (key === 'logoRotation') return value + '°';
+        if ((key === 'outlineWidth' || key === 'glowSize') && value === 0) return 'Off';
+        return value + 'px';
+    }
+
+    /**
+     * Sync the logo effect controls with the config
+     */
+    updateEffectInputs() {
+        EFFECT_SLIDERS.forEach(key => {
+            $('#' + key).value = this.config[key];
+            $(`#${key}Val`).textContent = this.effectLabel(key);
+        });
+        EFFECT_VALUES.forEach(key => {
+            $('#' + key).value = this.config[key];
+        });
+        EFFECT_TOGGLES.forEach(key => {
+            $('#' + key).checked = this.config[key];
+        });
+    }
+
+    /**
+     * Bind Step 3 image format controls
+     */
+    bindExportControls() {
+        $('#exportFormat').addEventListener('change', (e) => {
+            this.config.exportFormat = e.target.value;
+            this.updateExportInputs();
+        });
+        $('#exportQuality').addEventListener('input', (e) => {
+            this.config.exportQuality = +e.target.value;
+            $('#exportQualityVal').textContent = this.config.exportQuality + '%';
+        });
+        $('#exportFitSize').addEventListener('change', (e) => {
+            this.config.exportFitSize = e.target.checked;
+            this.updateExportInputs();
+        });
+        $('#exportMaxKB').addEventListener('input', (e) => {
+            this.config.exportMaxKB = Math.max(1, +e.target.value || 1);
+        });
+
+        // Batch sizes, kept in list order
+        $('#batchSizes').addEventListener('change', () => {
+            this.config.batchSizes = $$('[data-batch-size]:checked').map(el => el.dataset.batchSize);
+        });
+
+        $('#csvNameColumn').addEventListener('change', (e) => {
+            this.config.csvNameColumn = e.target.value;
+        });
+    }
+
+    /**
+     * Sync the image format controls with the config
+     * Quality and size limit only apply to JPEG and WebP; the limit replaces the quality slider
+     */
+    updateExportInputs() {
+        $('#exportFormat').value = this.config.exportFormat;
+        $('#exportQuality').value = this.config.exportQuality;
+        $('#exportQualityVal').textContent = this.config.exportQuality + '%';
+        $('#exportFitSize').checked = this.config.exportFitSize;
+        $('#exportMaxKB').value = this.config.exportMaxKB;
+
+        $$('[data-batch-size]').forEach(el => {
+            el.checked = this.config.batchSizes.includes(el.dataset.batchSize);
+        });
+        if (!$('#csvNameColumn').disabled) $('#csvNameColumn').value = this.config.csvNameColumn;
+
+        $('#exportLossyRow').style.display = this.config.exportFormat === 'png' ? 'none' : 'flex';
+        $('#exportQuality').disabled = this.config.exportFitSize;
+        $('#exportMaxKB').disabled = !this.config.exportFitSize;
+    }
+
+    /**
+     * Bind Step 3 print PDF controls
+     * Width and height are linked through the banner's aspect ratio; switching units
+     * converts the size and bleed
+     */
+    bindPrintControls() {
+        $('#pdfWidth').addEventListener('input', (e) => {
+            if (+e.target.value > 0) this.config.pdfWidth = +e.target.value;
+            $('#pdfHeight').value = this.printHeight();
+        });
+        $('#pdfHeight').addEventListener('input', (e) => {
+            if (+e.target.value > 0) this.config.pdfWidth = +e.target.value * this.config.w / this.config.h;
+            $('#pdfWidth').value = this.roundPrintSize(this.config.pdfWidth);
+        });
+        $('#pdfUnit').addEventListener('change', (e) => {
+            const factor = e.target.value === 'in' ? 1 / 25.4 : 25.4;
+            this.config.pdfUnit = e.target.value;
+            this.config.pdfWidth = this.roundPrintSize(this.config.pdfWidth * factor);
+            this.config.pdfBleed = this.roundPrintSize(this.config.pdfBleed * factor);
+            this.updatePrintInputs();
+        });
+        $('#pdfDpi').addEventListener('input', (e) => {
+            this.config.pdfDpi = Math.min(600, Math.max(72, +e.target.value || 300));
+        });
+        $('#pdfBleed').addEventListener('input', (e) => {
+            this.config.pdfBleed = Math.max(0, +e.target.value || 0);
+        });
+        $('#pdfCropMarks').addEventListener('change', (e) => {
+            this.config.pdfCropMarks = e.target.checked;
+        });
+    }
+
+    /**
+     * Round a print size for display (0.1 mm or 0.01 in)
+     * @param {number} value - Size in the current unit
+     * @returns {number} - Rounded size
+     */
+    roundPrintSize(value) {
+        const step = this.config.pdfUnit === 'in' ? 100 : 10;
+        return Math.round(value * step) / step;
+    }
+
+    /**
+     * @returns {number} - Print height for the current width and banner aspect ratio
+     */
+    printHeight() {
+        return this.roundPrintSize(this.config.pdfWidth * this.config.h / this.config.w);
+    }
+
+    /**
+     * Sync the print PDF controls with the config
+     */
+    updatePrintInputs() {
+        $('#pdfWidth').value = this.roundPrintSize(this.config.pdfWidth);
+        $('#pdfHeight').value = this.printHeight();
+        $('#pdfUnit').value = this.config.pdfUnit;
+        $('#pdfDpi').value = this.config.pdfDpi;
+        $('#pdfBleed').value = this.config.pdfBleed;
+        $('#pdfCropMarks').checked = this.config.pdfCropMarks;
+    }
+
+    /**
+     * Show what the download will be: format, dimensions, file size and quality used
+     * @param {Object} file - Encoded banner { blob, format, quality, fits }
+     * @param {number} width - Banner width in pixels
+     * @param {number} height - Banner height in pixels
+     */
+    showExportInfo({ blob, format, quality, fits }, width, height) {
+        const kb = blob.size / 1024;
+        const parts = [
+            format.toUpperCase(),
+            `${width}×${height}px`,
+            `${kb < 10 ? kb.toFixed(1) : Math.round(kb)} KB`
+        ];
+        if (format !== 'png') parts.push(`quality ${quality}%`);
+
+        const warning = fits ? '' : '⚠️ Still over the limit at the lowest quality · ';
+        this.updateStatus('#exportStatus', warning + parts.join(' · '));
+    }
+
     /**
      * Bind mode control events
      * Handles switching between create and upload modes
@@ -165,8 +643,9 @@ export class UIController {
                 $$('.btn-pos').forEach(x => x.classList.remove('active'));
                 b.classList.add('active');
                 
-                // Update configuration
+                // Update configuration - a slot replaces a position dragged on the preview
                 this.config.logoPos = b.dataset.pos;
+                this.config.logoX = this.config.logoY = null;
             });
         });
     }
@@ -226,6 +705,9 @@ export class UIController {
         // Show only the active step content
         $$('.step-content').forEach(el => el.classList.remove('active'));
         $(`#step${n}`).classList.add('active');
+
+        // The print height follows the banner size, which may have changed in Step 2
+        if (n === 3) this.updatePrintInputs();
     }
 
     /**
@@ -333,22 +815,49 @@ export class UIController {
         if (!processor.processedDataURL) return;
 
         // Generate preview HTML for each processing stage
-        const previewImg = `<img class="trans-bg" style="max-width:200px; border-radius:10px" src="${processor.processedDataURL}" />`;
+        // In crop mode the logo is shown larger with a selection overlay
+        const previewImg = this.cropMode ? `
+                    <div class="crop-area" id="cropArea">
+                        <img class="trans-bg" style="max-width:320px" src="${processor.processedDataURL}" draggable="false" />
+                        <div class="crop-box" id="cropBox" style="display:none"></div>
+                    </div>` :
+            `<img class="trans-bg" style="max-width:200px; border-radius:10px" src="${processor.processedDataURL}" />`;
+
+        // Before/after view once the background has been removed
+        const backgroundRemoved = processor.processedDataURL !== processor.originalDataURL;
+        const originalPreview = backgroundRemoved ? `
+                <div>
+                    <div style="margin-bottom:8px; font-weight:600">Before:</div>
+                    <img class="trans-bg" style="max-width:200px; border-radius:10px" src="${processor.originalDataURL}" />
+                </div>` : '';
         
+        // Multi-color bitmaps are posterized, so only single-color ones get grayscaled
+        const bitmapFilter = processor.colorLayers ? '' : '; filter:grayscale(1)';
         const bitmapPreview = processor.bitmapDataURL ?
-            `<img style="max-width:200px; border-radius:10px; filter:grayscale(1)" src="${processor.bitmapDataURL}" />` :
+            `<img style="max-width:200px; border-radius:10px${bitmapFilter}" src="${processor.bitmapDataURL}" />` :
             '<div class="chip">Not converted yet</div>';
         
+        // Shown as an image so uploaded SVG markup never becomes part of the page
+        const vectorSrc = processor.vectorSVGContent &&
+            `data:image/svg+xml;charset=utf-8,${encodeURIComponent(processor.vectorSVGContent)}`;
         const vectorPreview = processor.vectorSVGContent ?
-            `<div style="max-width:200px; height:200px; border-radius:10px; border:1px solid #e5e7eb; overflow:hidden; display:flex; align-items:center; justify-content:center; background: linear-gradient(45deg, #f0f0f0 25%, transparent 25%), linear-gradient(-45deg, #f0f0f0 25%, transparent 25%); background-size: 20px 20px;">${processor.vectorSVGContent}</div>` :
+            `<div style="max-width:200px; height:200px; border-radius:10px; border:1px solid #e5e7eb; overflow:hidden; display:flex; align-items:center; justify-content:center; background: linear-gradient(45deg, #f0f0f0 25%, transparent 25%), linear-gradient(-45deg, #f0f0f0 25%, transparent 25%); background-size: 20px 20px;"><img style="width:100%; height:100%; object-fit:contain" src="${vectorSrc}" alt="Vector logo" /></div>` :
             '<div class="chip">Not vectorized yet</div>';
 
+        // Node count and file size of the vector
+        let vectorStats = '';
+        if (processor.vectorSVGContent) {
+            const { nodes, kb } = this.vectorStats(processor.vectorSVGContent);
+            vectorStats = `<div class="chip" style="display:inline-block; margin-top:12px">${nodes.toLocaleString()} nodes · ${kb} KB</div>`;
+        }
+
         // Update preview display
         $('#logoResult').innerHTML = `
             <div class="msg ok">✅ Logo loaded</div>
             <div class="inline" style="gap:16px; align-items:flex-start; flex-wrap:wrap">
+                ${originalPreview}
                 <div>
-                    <div style="margin-bottom:8px; font-weight:600">Original:</div>
+                    <div style="margin-bottom:8px; font-weight:600">${this.cropMode ? 'Drag to select the crop area:' : backgroundRemoved ? 'Background removed:' : 'Original:'}</div>
                     ${previewImg}
                 </div>
                 <div>
@@ -360,12 +869,318 @@ export class UIController {
                     ${vectorPreview}
                 </div>
             </div>
+            ${vectorStats}
             ${processor.vectorSVGContent ? `<div class="code" style="margin-top:12px">${processor.vectorSVGContent.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</div>` : ''}
         `;
 
         // Update button states based on processing progress
         $('#btnDownloadSVGLogo').disabled = !processor.vectorSVGContent;
+        $('#btnIconPack').disabled = !processor.vectorSVGContent;
+        $('#btnVariants').disabled = !processor.vectorSVGContent;
+        $('#btnFidelity').disabled = !processor.vectorSVGContent;
+        if (!processor.variants) this.renderVariants(null);
+        if (!processor.fidelity) this.renderFidelity(null);
+        $$('[data-cleanup]').forEach(btn => {
+            btn.disabled = !processor.bitmapDataURL || !!processor.colorLayers;
+        });
         $('#toStep2').disabled = !processor.vectorSVGContent;
+
+        // Fresh preview - any earlier selection is gone
+        this.cropSelection = null;
+        $('#btnApplyCrop').disabled = true;
+        if (this.cropMode) this.bindCropSelection();
+    }
+
+    /**
+     * Switch the logo preview in or out of crop mode
+     * @param {boolean} on - Show the crop selection tool
+     * @param {LogoProcessor} processor - Logo processor instance
+     */
+    setCropMode(on, processor) {
+        this.cropMode = on;
+        $('#btnCrop').textContent = on ? 'Cancel crop' : 'Manual crop';
+        $('#btnApplyCrop').style.display = on ? 'inline-block' : 'none';
+        this.renderLogoPreview(processor);
+    }
+
+    /**
+     * Let the user drag a crop rectangle over the logo preview
+     * The selection is kept in image pixels in this.cropSelection
+     */
+    bindCropSelection() {
+        const area = $('#cropArea');
+        const box = $('#cropBox');
+        const img = area.querySelector('img');
+        let start = null;
+
+        // Pointer position in image pixels, clamped to the image
+        const toImage = (e) => {
+            const r = img.getBoundingClientRect();
+            return {
+                x: Math.min(img.naturalWidth, Math.max(0, (e.clientX - r.left) * img.naturalWidth / r.width)),
+                y: Math.min(img.naturalHeight, Math.max(0, (e.clientY - r.top) * img.naturalHeight / r.height))
+            };
+        };
+
+        // Store the selection and draw it at preview scale
+        const update = (end) => {
+            const x = Math.floor(Math.min(start.x, end.x));
+            const y = Math.floor(Math.min(start.y, end.y));
+            const width = Math.ceil(Math.max(start.x, end.x)) - x;
+            const height = Math.ceil(Math.max(start.y, end.y)) - y;
+            this.cropSelection = width >= 4 && height >= 4 ? { x, y, width, height } : null;
+            $('#btnApplyCrop').disabled = !this.cropSelection;
+
+            const scale = img.clientWidth / img.naturalWidth;
+            Object.assign(box.style, {
+                display: this.cropSelection ? 'block' : 'none',
+                left: x * scale + 'px',
+                top: y * scale + 'px',
+                width: width * scale + 'px',
+                height: height * scale + 'px'
+            });
+        };
+
+        area.addEventListener('pointerdown', (e) => {
+            start = toImage(e);
+            area.setPointerCapture(e.pointerId);
+            update(start);
+        });
+        area.addEventListener('pointermove', (e) => {
+            if (start) update(toImage(e));
+        });
+        area.addEventListener('pointerup', () => {
+            start = null;
+        });
+    }
+
+    /**
+     * Render one color picker per color layer (multi-color mode)
+     * Inputs carry their layer index in data attributes for delegated handling
+     * @param {LogoProcessor} processor - Logo processor instance
+     */
+    renderLayerControls(processor) {
+        const layers = processor.colorLayers || [];
+
+        $('#layerColors').innerHTML = layers.map((layer, i) => `
+            <div class="layer-row">
+                <input type="checkbox" data-layer-visible="${i}" ${layer.visible ? 'checked' : ''} title="Show layer" />
+                <input type="color" data-layer-color="${i}" value="${layer.color}" />
+                <span class="chip">Layer ${i + 1} · ${layer.originalColor}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render the brand palette as clickable swatches plus a contrast matrix
+     * Each matrix cell shows the WCAG contrast ratio of one swatch pairing
+     * @param {Array<{hex: string, share: number}>} palette - Extracted palette
+     */
+    renderPalette(palette) {
+        $('#paletteSwatches').innerHTML = palette.map(c => `
+            <div>
+                <button class="swatch" data-color="${c.hex}" style="background:${c.hex}" title="Apply ${c.hex}"></button>
+                <div class="swatch-label">${c.hex}<br>${Math.round(c.share * 100)}%</div>
+            </div>
+        `).join('');
+
+        if (palette.length < 2) {
+            $('#paletteContrast').innerHTML = '';
+            return;
+        }
+
+        // WCAG level for a ratio: AAA ≥ 7, AA ≥ 4.5, AA large text ≥ 3
+        const level = (ratio) => ratio >= 7 ? 'AAA' : ratio >= 4.5 ? 'AA' : ratio >= 3 ? 'AA Large' : 'Fail';
+        const dot = (hex) => `<span class="contrast-dot" style="background:${hex}" title="${hex}"></span>`;
+
+        const rows = palette.map(a => `
+            <tr>
+                <th>${dot(a.hex)}</th>
+                ${palette.map(b => {
+                    if (a.hex === b.hex) return '<td>–</td>';
+                    const ratio = contrastRatio(a.hex, b.hex);
+                    return `<td class="${ratio < 3 ? 'contrast-fail' : ''}" title="${level(ratio)}">${ratio.toFixed(1)}:1</td>`;
+                }).join('')}
+            </tr>
+        `).join('');
+
+        $('#paletteContrast').innerHTML = `
+            <table class="contrast-table">
+                <tr><th></th>${palette.map(c => `<th>${dot(c.hex)}</th>`).join('')}</tr>
+                ${rows}
+            </table>
+        `;
+    }
+
+    /**
+     * Render the banner layer stack, front-most layer first
+     * Controls carry the layer id and property in data attributes for delegated handling
+     */
+    renderLayerStack() {
+        const layers = this.config.layers.slice().reverse();
+
+        $('#layerStack').innerHTML = layers.map(layer => {
+            const selected = layer.id === this.selectedLayer;
+            return `
+            <div class="layer-item${selected ? ' selected' : ''}" data-layer="${layer.id}">
+                <div class="layer-row">
+                    <input type="checkbox" data-layer-prop="visible" ${layer.visible ? 'checked' : ''} title="Show layer" />
+                    <button class="layer-name" data-layer-action="select" title="Edit layer">${escapeHTML(layer.name)}</button>
+                    ${layer.main ? '<span class="chip">Main</span>' : ''}
+                    <input type="range" min="0" max="100" step="5" value="${layer.opacity}" data-layer-prop="opacity" title="Opacity" />
+                    <button class="btn chip" data-layer-action="up" title="Bring forward">▲</button>
+                    <button class="btn chip" data-layer-action="down" title="Send backward">▼</button>
+                    <button class="btn chip" data-layer-action="duplicate" title="Duplicate">⧉</button>
+                    <button class="btn chip" data-layer-action="delete" title="Delete">✕</button>
+                </div>
+                ${selected ? this.layerProperties(layer) : ''}
+            </div>`;
+        }).join('');
+    }
+
+    /**
+     * Property editor for the selected layer
+     * @param {Object} layer - Banner layer
+     * @returns {string} - HTML
+     */
+    layerProperties(layer) {
+        if (layer.main) {
+            return '<div class="layer-props"><span class="chip">Set with the Step 2 controls above</span></div>';
+        }
+
+        const options = (list, value) => list
+            .map(([v, l]) => `<option value="${v}"${v === value ? ' selected' : ''}>${l}</option>`)
+            .join('');
+
+        const fields = {
+            background: `
+                <select class="control" data-layer-prop="template">${options([['solid', 'Solid'], ['gradient', 'Gradient'], ['pattern', 'Pattern']], layer.template)}</select>
+                <input type="color" value="${layer.bg}" data-layer-prop="bg" title="Color" />
+                <input type="color" value="${layer.grad}" data-layer-prop="grad" title="End / pattern color" />`,
+            image: `<button class="btn chip" data-layer-action="image">Replace image</button>`,
+            logo: '',
+            text: `
+                <input type="text" class="control" value="${escapeHTML(layer.text)}" data-layer-prop="text" placeholder="Text" />
+                <input type="color" value="${layer.color}" data-layer-prop="color" title="Text color" />
+                <input type="number" min="8" max="200" value="${layer.fontSize}" data-layer-prop="fontSize" style="width:80px" title="Font size (px)" />`,
+            shape: `
+                <select class="control" data-layer-prop="shape">${options([['rect', 'Rectangle'], ['rounded', 'Rounded'], ['ellipse', 'Ellipse'], ['circle', 'Circle']], layer.shape)}</select>
+                <input type="color" value="${layer.color}" data-layer-prop="color" title="Fill color" />`
+        };
+
+        return `
+            <div class="layer-props">
+                <div class="inline" style="flex-wrap:wrap">
+                    <select class="control" data-layer-prop="pos" style="width:auto" title="Position">${options(POSITIONS, layer.pos)}</select>
+                    <label class="label" style="margin:0">Size</label>
+                    <input type="range" min="5" max="100" value="${layer.size}" data-layer-prop="size" title="Size (% of banner)" />
+                </div>
+                <div class="inline" style="flex-wrap:wrap; margin-top:8px">${fields[layer.type]}</div>
+            </div>`;
+    }
+
+    /**
+     * Show the fidelity report: difference overlay with scores and legend
+     * @param {Object|null} report - Result of LogoProcessor.compareFidelity, or null to clear
+     */
+    renderFidelity(report) {
+        if (!report) {
+            $('#fidelityResult').innerHTML = '';
+            return;
+        }
+
+        const dot = (color) => `<span class="contrast-dot" style="background:${color}"></span>`;
+        $('#fidelityResult').innerHTML = `
+            <div class="section">
+                <h3>Vector Fidelity</h3>
+                <div class="inline" style="gap:16px; align-items:flex-start">
+                    <img src="${report.image}" style="max-width:360px; border-radius:10px; border:1px solid #e5e7eb" alt="Difference overlay" />
+                    <div>
+                        <div class="inline" style="gap:8px">
+                            <span class="chip">Match ${(100 - report.mismatch).toFixed(2)}%</span>
+                            <span class="chip">IoU ${report.iou.toFixed(3)}</span>
+                        </div>
+                        <div style="margin-top:10px; font-size:13px; line-height:1.8">
+                            <div>${dot('#ef4444')} Missing in vector: ${report.missing.toLocaleString()} px</div>
+                            <div>${dot('#3b82f6')} Extra in vector: ${report.extra.toLocaleString()} px</div>
+                            <div>${dot('#d1d5db')} Matching coverage</div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the brand variants side by side on light and dark tiles
+     * SVGs are shown as images so gradient ids of different variants can't clash
+     * @param {Array<{id: string, label: string, svg: string}>|null} variants - Variants, or null to clear
+     */
+    renderVariants(variants) {
+        $('#btnDownloadVariants').style.display = variants ? 'inline-block' : 'none';
+        if (!variants) {
+            $('#variantsResult').innerHTML = '';
+            return;
+        }
+
+        const src = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        $('#variantsResult').innerHTML = `
+            <div class="section">
+                <h3>Logo Variants</h3>
+                <div class="variant-grid">
+                    ${variants.map(v => `
+                        <div>
+                            <div style="margin-bottom:8px; font-weight:600">${v.label}</div>
+                            <div class="variant-tiles">
+                                <div class="variant-tile" style="background:#f8fafc"><img src="${src(v.svg)}" alt="${v.label} on light" /></div>
+                                <div class="variant-tile" style="background:#0f172a"><img src="${src(v.svg)}" alt="${v.label} on dark" /></div>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the imported CSV and offer its columns for file names
+     * @param {Object|null} csv - { columns, rows } from parseCSV, or null if nothing is loaded
+     */
+    showCSV(csv) {
+        const select = $('#csvNameColumn');
+        select.innerHTML = csv
+            ? csv.columns.map(c => `<option value="${escapeHTML(c)}">${escapeHTML(c)}</option>`).join('')
+            : '';
+        select.value = this.config.csvNameColumn;
+        [select, $('#csvRender'), $('#dlCSV')].forEach(el => { el.disabled = !csv; });
+
+        $('#csvInfo').textContent = csv
+            ? `${csv.rows.length} rows · columns: ${csv.columns.join(', ')}`
+            : 'Use {{column}} in the banner text';
+        if (!csv) this.renderCSVRows(null);
+    }
+
+    /**
+     * Show the rendered CSV rows as a thumbnail grid for review
+     * @param {Array<Object>|null} results - From BulkGenerator.renderRows, or null to clear
+     * @param {Array<string>} names - File name per row (without extension)
+     */
+    renderCSVRows(results, names = []) {
+        if (!results) {
+            $('#csvResult').innerHTML = '';
+            return;
+        }
+
+        $('#csvResult').innerHTML = `
+            <div class="variant-grid">
+                ${results.map((result, i) => `
+                    <div>
+                        <div style="margin-bottom:8px; font-weight:600">${escapeHTML(names[i])} <span class="chip">${result.width}×${result.height}</span></div>
+                        <div class="variant-tile" style="background:#f8fafc"><img src="${result.thumbnail}" alt="Row ${i + 1}" /></div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
     }
 
     /**
@@ -385,11 +1200,162 @@ export class UIController {
 
     /**
      * Show banner preview and enable next step
+     * Movable layers get boxes on top that can be dragged, resized and nudged
      * @param {string} dataURL - Data URL of banner image
+     * @param {Array<Object>} boxes - Layer bounds { id, x, y, width, height } in banner pixels
      */
-    showPreview(dataURL) {
-        $('#preview').innerHTML = `<img class="banner-preview" src="${dataURL}" />`;
+    showPreview(dataURL, boxes = []) {
+        const { w, h } = this.config;
+        const pct = (value, total) => `${(value / total * 100).toFixed(3)}%`;
+
+        // Box per movable layer, positioned in % so it follows the responsive image
+        const layerBoxes = boxes.map(box => {
+            const layer = this.config.layers.find(l => l.id === box.id);
+            return `
+                <div class="stage-box" tabindex="0" data-layer="${box.id}" title="${escapeHTML(layer ? layer.name : '')}: drag to move, arrow keys to nudge"
+                    style="left:${pct(box.x, w)}; top:${pct(box.y, h)}; width:${pct(box.width, w)}; height:${pct(box.height, h)}">
+                    <span class="stage-handle" title="Drag to resize"></span>
+                </div>`;
+        }).join('');
+
+        $('#preview').innerHTML = `
+            <div class="banner-stage" id="bannerStage">
+                <img class="banner-preview" src="${dataURL}" draggable="false" />
+                ${layerBoxes}
+                <div class="stage-guide v"></div>
+                <div class="stage-guide h"></div>
+            </div>`;
         $('#toStep3').disabled = false;
+
+        this.bindStage(boxes);
+
+        // Keep working on the same layer after an edit redraws the preview
+        const focused = this.stageFocus && $(`#bannerStage [data-layer="${this.stageFocus}"]`);
+        if (focused) focused.focus();
+        this.stageFocus = null;
+    }
+
+    /**
+     * Let the user move, resize and nudge layers on the banner preview
+     * Boxes snap to the edges, thirds and center lines while dragging; the result goes to
+     * onStageEdit as the layer's new position (% of the banner) and a size factor
+     * @param {Array<Object>} boxes - Layer bounds in banner pixels (anchorX/anchorY is the
+     *        point a free position refers to; defaults to the box center)
+     */
+    bindStage(boxes) {
+        const stage = $('#bannerStage');
+        const guides = { v: stage.querySelector('.stage-guide.v'), h: stage.querySelector('.stage-guide.h') };
+        const { w, h } = this.config;
+        let drag = null;
+
+        // Bounds and anchor in % of the banner, by layer id
+        const rects = new Map(boxes.map(box => [box.id, {
+            left: box.x / w * 100,
+            top: box.y / h * 100,
+            width: box.width / w * 100,
+            height: box.height / h * 100,
+            anchorX: (box.anchorX ?? box.x + box.width / 2) / w * 100,
+            anchorY: (box.anchorY ?? box.y + box.height / 2) / h * 100
+        }]));
+
+        // Closest snap of a box's start, middle or end to a guide line (sizes in %)
+        const snap = (start, size, threshold) => {
+            let best = { start, line: null, distance: threshold };
+            SNAP_LINES.forEach(line => [0, size / 2, size].forEach(offset => {
+                const distance = Math.abs(start + offset - line);
+                if (distance <= best.distance) best = { start: line - offset, line, distance };
+            }));
+            return best;
+        };
+
+        const showGuide = (axis, line) => {
+            guides[axis].style.display = line === null ? 'none' : 'block';
+            if (line !== null) guides[axis].style[axis === 'v' ? 'left' : 'top'] = `${line}%`;
+        };
+
+        const place = (el, { left, top, width, height }) => Object.assign(el.style, {
+            left: `${left}%`, top: `${top}%`, width: `${width}%`, height: `${height}%`
+        });
+
+        // Report a new top-left corner and scale; the anchor keeps its place within the box
+        const commit = (id, left, top, scale) => {
+            const rect = rects.get(id);
+            this.stageFocus = id;
+            if (this.onStageEdit) this.onStageEdit({
+                id,
+                x: left + (rect.anchorX - rect.left) * scale,
+                y: top + (rect.anchorY - rect.top) * scale,
+                scale
+            });
+        };
+
+        stage.addEventListener('pointerdown', (e) => {
+            const el = e.target.closest('.stage-box');
+            if (!el) return;
+            e.preventDefault();
+            el.focus();
+            stage.setPointerCapture(e.pointerId);
+
+            const rect = rects.get(el.dataset.layer);
+            drag = {
+                el, rect, next: { ...rect },
+                resize: e.target.classList.contains('stage-handle'),
+                startX: e.clientX,
+                startY: e.clientY
+            };
+        });
+
+        stage.addEventListener('pointermove', (e) => {
+            if (!drag) return;
+            const { el, rect } = drag;
+            const dx = (e.clientX - drag.startX) / stage.clientWidth * 100;
+            const dy = (e.clientY - drag.startY) / stage.clientHeight * 100;
+            const thresholdX = SNAP_DISTANCE / stage.clientWidth * 100;
+            const thresholdY = SNAP_DISTANCE / stage.clientHeight * 100;
+
+            if (drag.resize) {
+                // Scale from the top-left corner, keeping the aspect ratio; the right edge snaps
+                const scale = Math.max(0.1, (rect.width + dx) / rect.width, (rect.height + dy) / rect.height);
+                const edge = snap(rect.left + rect.width * scale, 0, thresholdX);
+                const snapped = Math.max(0.1, (edge.start - rect.left) / rect.width);
+                drag.next = { ...rect, width: rect.width * snapped, height: rect.height * snapped };
+                showGuide('v', edge.line);
+                showGuide('h', null);
+            } else {
+                const x = snap(rect.left + dx, rect.width, thresholdX);
+                const y = snap(rect.top + dy, rect.height, thresholdY);
+                drag.next = { ...rect, left: x.start, top: y.start };
+                showGuide('v', x.line);
+                showGuide('h', y.line);
+            }
+            place(el, drag.next);
+        });
+
+        const endDrag = () => {
+            if (!drag) return;
+            const { el, rect, next } = drag;
+            drag = null;
+            showGuide('v', null);
+            showGuide('h', null);
+
+            // A click without movement only selects the box
+            if (next.left === rect.left && next.top === rect.top && next.width === rect.width) return;
+            commit(el.dataset.layer, next.left, next.top, next.width / rect.width);
+        };
+        stage.addEventListener('pointerup', endDrag);
+        stage.addEventListener('pointercancel', endDrag);
+
+        // Arrow keys nudge the focused box by 1px (10px with Shift)
+        stage.addEventListener('keydown', (e) => {
+            const el = e.target.closest('.stage-box');
+            const step = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key];
+            if (!el || !step) return;
+            e.preventDefault();
+
+            const rect = rects.get(el.dataset.layer);
+            const distance = e.shiftKey ? 10 : 1;
+            commit(el.dataset.layer, rect.left + step[0] * distance / w * 100, rect.top + step[1] * distance / h * 100, 1);
+        });
     }
 
     /**
@@ -413,23 +1379,64 @@ export class UIController {
         $('#txt').value = this.config.text;
         $('#fs').value = this.config.fs;
         $('#fsVal').textContent = this.config.fs + 'px';
+        this.updateTextLayoutInputs();
         $('#ls').value = this.config.logoSizePct;
         $('#lsVal').textContent = this.config.logoSizePct + '%';
+        this.updateEffectInputs();
+        this.setMode(this.config.mode);
+
+        // Logo processing controls
+        $('#threshold').value = this.config.threshold;
+        $('#thresholdMode').value = this.config.thresholdMode;
+        this.updateThresholdControls();
+        $('#invertBitmap').checked = this.config.invertBitmap;
+        $('#maxLogoSize').value = this.config.maxLogoSize;
+        $('#bgTolerance').value = this.config.bgTolerance;
+        $('#bgToleranceVal').textContent = this.config.bgTolerance + '%';
+        $('#autoRemoveBg').checked = this.config.autoRemoveBg;
+        $('#trimPadding').value = this.config.trimPadding;
+        $('#trimPaddingVal').textContent = this.config.trimPadding + '% padding';
+        $('#autoTrim').checked = this.config.autoTrim;
+        $('#smoothness').value = this.config.smoothness;
+        $('#smoothnessVal').textContent = this.config.smoothness + '%';
+        $('#detail').value = this.config.detail;
+        $('#detailVal').textContent = this.detailLabel(this.config.detail);
+        $('#speckSize').value = this.config.speckSize;
+        $('#holeSize').value = this.config.holeSize;
+        $('#morphRadius').value = this.config.morphRadius;
+        $('#morphRadiusVal').textContent = this.config.morphRadius + 'px';
+        $('#paletteSize').value = this.config.paletteSize;
+        $('#iconBg').value = this.config.iconBg;
+
+        // Logo colors
+        $$('input[name="colorMode"]').forEach(r => {
+            r.checked = r.value === this.config.colorMode;
+        });
+        this.toggleColorModeControls();
+        $('#colorCount').value = this.config.colorCount;
+        $('#colorCountVal').textContent = this.config.colorCount;
+        $('#preserveColor').checked = this.config.preserveColor;
+        this.toggleColorControls(this.config.preserveColor);
+        this.updateFillInputs();
         
         // Update template buttons
         $$('#tmplBtns .btn').forEach(b => {
             b.classList.toggle('active', b.dataset.tmpl === this.config.template);
         });
         
-        // Update position buttons
+        // Update position buttons (none is active while the logo has a free position)
         $$('.btn-pos').forEach(b => {
-            b.classList.toggle('active', b.dataset.pos === this.config.logoPos);
+            b.classList.toggle('active', this.config.logoX === null && b.dataset.pos === this.config.logoPos);
         });
         
         // Update text position radio
         $$('input[name="tpos"]').forEach(r => {
             r.checked = r.value === this.config.tpos;
         });
+
+        this.updateExportInputs();
+        this.updatePrintInputs();
+        this.renderLayerStack();
     }
 
     /**
@@ -438,16 +1445,20 @@ export class UIController {
      */
     initialize() {
         // Set slider value displays with proper labels
-        const labels = {
-            '0.3': 'Light',
-            '0.4': 'Soft',
-            '0.5': 'Normal',
-            '0.6': 'Strong',
-            '0.7': 'Sharp'
-        };
-        $('#thresholdVal').textContent = labels[this.config.threshold] || 'Normal';
+        this.updateThresholdControls();
         $('#fsVal').textContent = this.config.fs + 'px';
         $('#lsVal').textContent = this.config.logoSizePct + '%';
+        $('#colorCountVal').textContent = this.config.colorCount;
+        $('#bgToleranceVal').textContent = this.config.bgTolerance + '%';
+        $('#smoothnessVal').textContent = this.config.smoothness + '%';
+        $('#detailVal').textContent = this.detailLabel(this.config.detail);
+        $('#morphRadiusVal').textContent = this.config.morphRadius + 'px';
+        $('#trimPaddingVal').textContent = this.config.trimPadding + '% padding';
+        this.updateFillInputs();
+        this.updateEffectInputs();
+        this.updateTextLayoutInputs();
+        this.renderLayerStack();
+        this.toggleColorModeControls();
         
         // Set initial color preview if element exists
         const colorPreview = $('#colorPreview');
@@ -5,6 +5,8 @@
  * Includes DOM helpers, file operations, validation, and UI utilities.
  */
 
+import { sizeSVG } from './svgSanitizer.js';
+
 /**
  * Quick DOM selector - shorthand for document.querySelector
  * @param {string} selector - CSS selector string
@@ -62,6 +64,64 @@ export function clampImageToMax(img, maxSide = 800) {
     return canvas.toDataURL('image/png');
 }
 
+/**
+ * Load an image from a URL
+ * @param {string} src - Image source URL
+ * @returns {Promise<HTMLImageElement>} - Loaded image element
+ */
+export function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = reject;
+        img.src = src;
+    });
+}
+
+/**
+ * Load SVG markup as an image with a fixed pixel size
+ * @param {string} svg - SVG markup
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Promise<HTMLImageElement>} - Loaded image element
+ */
+export async function svgToImage(svg, width, height) {
+    const blob = new Blob([sizeSVG(svg, width, height)], { type: 'image/svg+xml' });
+    const url = URL.createObjectURL(blob);
+    try {
+        return await loadImage(url);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Encode a canvas as a Blob
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} type - Image MIME type
+ * @param {number} quality - Quality for lossy formats (0-1)
+ * @returns {Promise<Blob>} - Encoded image
+ */
+export function canvasToBlob(canvas, type = 'image/png', quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas encoding failed')), type, quality);
+    });
+}
+
+/**
+ * Read a Blob as a data URL
+ * @param {Blob} blob - File or image data
+ * @returns {Promise<string>} - Data URL
+ */
+export function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const fr = new FileReader();
+        fr.onload = () => resolve(fr.result);
+        fr.onerror = reject;
+        fr.readAsDataURL(blob);
+    });
+}
+
 /**
  * Download a file to the user's device
  * @param {string|Blob} content - File content (string for text, Blob for binary)
@@ -97,3 +157,13 @@ export function validateHexColor(hexValue) {
     // Validate format: exactly 6 hex characters
     return /^[0-9A-Fa-f]{6}$/.test(hex) ? '#' + hex : null;
 }
+
+/**
+ * Escape user text for use in HTML content and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} - Text with &, <, >, " and ' escaped
+ */
+export function escapeHTML(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, c => entities[c]);
+}
@@ -0,0 +1,548 @@
+/**
+ * VECTOR TRACER MODULE
+ *
+ * Turns a black & white bitmap into real SVG path outlines:
+ * - Builds a binary ink mask from bitmap pixel data
+ * - Traces pixel boundaries into closed contours (outer shapes and holes)
+ * - Collapses straight runs so only corner points are kept
+ * - Serializes contours as SVG path data for an even-odd fill, either pixel-exact
+ *   or simplified and fitted with cubic Béziers (sharp corners preserved)
+ */
+
+// Direction vectors indexed by direction id: 0 = right, 1 = down, 2 = left, 3 = up
+const DX = [1, 0, -1, 0];
+const DY = [0, 1, 0, -1];
+
+/**
+ * Build a binary ink mask from bitmap pixel data
+ * Dark, visible pixels count as ink (1), everything else as background (0)
+ * @param {ImageData} imageData - Pixel data of the black & white bitmap
+ * @returns {{width: number, height: number, data: Uint8Array}} - Binary mask
+ */
+export function createMask(imageData) {
+    const { width, height, data } = imageData;
+    const mask = new Uint8Array(width * height);
+
+    for (let i = 0, p = 0; p < mask.length; i += 4, p++) {
+        const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        mask[p] = data[i + 3] >= 128 && luminance < 128 ? 1 : 0;
+    }
+
+    return { width, height, data: mask };
+}
+
+/**
+ * Trace the outlines of all ink regions in a mask
+ * Walks the boundary edges between ink and background pixels on the pixel-corner grid.
+ * Outer shapes come out clockwise and holes counter-clockwise, so counters
+ * (the holes in "O", "A", ...) survive an even-odd fill.
+ * @param {{width: number, height: number, data: Uint8Array}} mask - Binary ink mask
+ * @returns {Array<Array<[number, number]>>} - Closed contours as lists of corner points
+ */
+export function traceContours(mask) {
+    const { width: w, height: h, data } = mask;
+    const stride = w + 1; // Corner grid is one larger than the pixel grid
+    const isInk = (x, y) => x >= 0 && y >= 0 && x < w && y < h && data[y * w + x] === 1;
+
+    // Outgoing boundary edges per corner, stored as a bit per direction
+    const edges = new Uint8Array(stride * (h + 1));
+
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            if (!isInk(x, y)) continue;
+
+            // Each exposed pixel side becomes one directed edge (ink kept on the right)
+            if (!isInk(x, y - 1)) edges[y * stride + x] |= 1 << 0;             // Top: left → right
+            if (!isInk(x + 1, y)) edges[y * stride + x + 1] |= 1 << 1;         // Right: top → bottom
+            if (!isInk(x, y + 1)) edges[(y + 1) * stride + x + 1] |= 1 << 2;   // Bottom: right → left
+            if (!isInk(x - 1, y)) edges[(y + 1) * stride + x] |= 1 << 3;       // Left: bottom → top
+        }
+    }
+
+    const contours = [];
+
+    for (let start = 0; start < edges.length; start++) {
+        while (edges[start]) {
+            const points = [];
+            let x = start % stride;
+            let y = Math.floor(start / stride);
+            let prevDir = -1;
+            let firstDir = -1;
+            let vertex = start;
+
+            do {
+                const dir = pickDirection(edges[vertex], prevDir);
+                if (firstDir < 0) firstDir = dir;
+                edges[vertex] &= ~(1 << dir); // Consume the edge
+
+                // Only keep points where the outline changes direction
+                if (dir !== prevDir) points.push([x, y]);
+
+                x += DX[dir];
+                y += DY[dir];
+                vertex = y * stride + x;
+                prevDir = dir;
+            } while (vertex !== start && edges[vertex]);
+
+            // The start point is redundant if the contour closes on a straight run
+            if (prevDir === firstDir) points.shift();
+            contours.push(points);
+        }
+    }
+
+    return contours;
+}
+
+/**
+ * Choose the next outgoing edge at a corner
+ * At saddle corners (two diagonal ink pixels) always turn right, which keeps
+ * diagonally touching pixels as separate shapes.
+ * @param {number} bits - Outgoing edge bits at the corner
+ * @param {number} prevDir - Direction of the incoming edge (-1 at the contour start)
+ * @returns {number} - Direction id of the edge to follow
+ */
+function pickDirection(bits, prevDir) {
+    if (prevDir >= 0) {
+        // Prefer right turn, then straight, then left turn
+        for (const turn of [1, 0, 3]) {
+            const dir = (prevDir + turn) % 4;
+            if (bits & (1 << dir)) return dir;
+        }
+    }
+
+    // Contour start - take the first available edge
+    for (let dir = 0; dir < 4; dir++) {
+        if (bits & (1 << dir)) return dir;
+    }
+    return -1;
+}
+
+/**
+ * Serialize traced contours as SVG path data
+ * Uses absolute horizontal/vertical commands since traced outlines are axis-aligned
+ * @param {Array<Array<[number, number]>>} contours - Closed contours from traceContours
+ * @returns {string} - SVG path "d" attribute value
+ */
+export function contoursToPathData(contours) {
+    return contours.map(points => {
+        const [x0, y0] = points[0];
+        let d = `M${x0} ${y0}`;
+
+        for (let i = 1; i < points.length; i++) {
+            const [x, y] = points[i];
+            const [px] = points[i - 1];
+            d += x !== px ? `H${x}` : `V${y}`;
+        }
+
+        return d + 'Z';
+    }).join('');
+}
+
+/**
+ * Serialize traced contours as smooth, compact SVG path data
+ * Each contour is simplified (Douglas–Peucker), split at sharp corners and the runs
+ * between corners are fitted with cubic Béziers.
+ * @param {Array<Array<[number, number]>>} contours - Closed contours from traceContours
+ * @param {Object} options - Fitting options
+ * @param {number} options.smoothness - 0-1; higher values turn fewer vertices into corners
+ *                                      (0 keeps straight polygon segments only)
+ * @param {number} options.tolerance - Maximum deviation from the pixel outline in pixels
+ * @returns {string} - SVG path "d" attribute value
+ */
+export function contoursToCurvePathData(contours, { smoothness = 0.5, tolerance = 1 } = {}) {
+    // Vertices turning more than this become corners: 0° (all corners) to 120°
+    const cornerAngle = smoothness * 120 * Math.PI / 180;
+
+    return contours.map(contour => {
+        const points = densify(contour);
+        if (points.length < 4) return contoursToPathData([contour]);
+
+        const n = points.length;
+        const fmt = (p) => `${round(p[0])} ${round(p[1])}`;
+
+        // Simplified polygon - indices into the dense point list
+        // Tiny contours (one or two pixels) simplify to a line - keep them as the plain polygon
+        const keep = simplifyClosed(points, tolerance);
+        if (keep.length < 3) return contoursToPathData([contour]);
+
+        // No curves requested - emit the simplified polygon
+        if (smoothness === 0) {
+            return `M${fmt(points[keep[0]])}` + keep.slice(1).map(i => `L${fmt(points[i])}`).join('') + 'Z';
+        }
+
+        // Corners: simplified vertices with a sharp turn, measured a few pixels out
+        // so single pixel steps don't count as corners
+        const reach = Math.max(1, Math.min(4, Math.floor(n / 4)));
+        const corners = keep.filter(idx => turnAngle(
+            points[(idx - reach + n) % n],
+            points[idx],
+            points[(idx + reach) % n]
+        ) > cornerAngle);
+
+        // Curves follow a lightly smoothed outline; corners stay exactly on the pixel grid
+        const smoothed = smoothClosed(points);
+        const anchors = corners.length ? corners : [keep[0]];
+        const smoothJoin = corners.length === 0;
+        const anchorPoint = (idx) => smoothJoin ? smoothed[idx] : points[idx];
+        let d = `M${fmt(anchorPoint(anchors[0]))}`;
+
+        anchors.forEach((start, k) => {
+            const end = anchors[(k + 1) % anchors.length];
+            const run = cyclicSlice(smoothed, start, end);
+            run[0] = anchorPoint(start);
+            run[run.length - 1] = anchorPoint(end);
+
+            // Tangents: along the run at corners, across the joint for smooth loops
+            const left = smoothJoin ? centerTangent(smoothed, start, 1) : runTangent(run, false);
+            const right = smoothJoin ? centerTangent(smoothed, end, -1) : runTangent(run, true);
+
+            fitCubic(run, left, right, tolerance * tolerance).forEach(bez => {
+                d += isStraight(bez, tolerance)
+                    ? `L${fmt(bez[3])}`
+                    : `C${fmt(bez[1])} ${fmt(bez[2])} ${fmt(bez[3])}`;
+            });
+        });
+
+        // A final straight line back to the start is implied by Z
+        const closing = `L${fmt(anchorPoint(anchors[0]))}`;
+        if (d.endsWith(closing)) d = d.slice(0, -closing.length);
+
+        return d + 'Z';
+    }).join('');
+}
+
+/**
+ * Count the nodes (anchor points) in an SVG document's path data
+ * @param {string} svg - SVG markup
+ * @returns {number} - Number of path commands that place a node
+ */
+export function countPathNodes(svg) {
+    let nodes = 0;
+    for (const [, d] of svg.matchAll(/\sd="([^"]*)"/g)) {
+        nodes += (d.match(/[MLHVCSQTA]/gi) || []).length;
+    }
+    return nodes;
+}
+
+// Round a coordinate to 2 decimals for compact output
+const round = (v) => Math.round(v * 100) / 100;
+
+/**
+ * Expand corner points into unit steps along the pixel outline
+ * @param {Array<[number, number]>} contour - Corner points (axis-aligned closed polygon)
+ * @returns {Array<[number, number]>} - Every pixel corner along the outline
+ */
+function densify(contour) {
+    const out = [];
+    contour.forEach((p, i) => {
+        const q = contour[(i + 1) % contour.length];
+        const steps = Math.abs(q[0] - p[0]) + Math.abs(q[1] - p[1]);
+        const sx = Math.sign(q[0] - p[0]), sy = Math.sign(q[1] - p[1]);
+        for (let s = 0; s < steps; s++) out.push([p[0] + sx * s, p[1] + sy * s]);
+    });
+    return out;
+}
+
+/**
+ * Moving average over a closed polygon (window of 5 points)
+ * Flattens pixel staircases into the line they approximate
+ * @param {Array<[number, number]>} points - Closed polygon
+ * @returns {Array<[number, number]>} - Smoothed points (same count)
+ */
+function smoothClosed(points) {
+    const n = points.length;
+    return points.map((p, i) => {
+        let x = 0, y = 0;
+        for (let k = -2; k <= 2; k++) {
+            const q = points[(i + k + n) % n];
+            x += q[0];
+            y += q[1];
+        }
+        return [x / 5, y / 5];
+    });
+}
+
+/**
+ * Douglas–Peucker simplification of a closed polygon
+ * @param {Array<[number, number]>} points - Closed polygon
+ * @param {number} tolerance - Maximum allowed deviation in pixels
+ * @returns {Array<number>} - Sorted indices of the points to keep
+ */
+function simplifyClosed(points, tolerance) {
+    // Split the loop at the point farthest from the first one
+    let far = 0, farDist = -1;
+    points.forEach((p, i) => {
+        const d = (p[0] - points[0][0]) ** 2 + (p[1] - points[0][1]) ** 2;
+        if (d > farDist) {
+            farDist = d;
+            far = i;
+        }
+    });
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[far] = 1;
+
+    // Iterative DP over [from, to] index ranges (to may wrap to points.length)
+    const stack = [[0, far], [far, points.length]];
+    while (stack.length) {
+        const [from, to] = stack.pop();
+        const a = points[from], b = points[to % points.length];
+        let maxDist = 0, maxIdx = -1;
+
+        for (let i = from + 1; i < to; i++) {
+            const dist = pointSegmentDistance(points[i], a, b);
+            if (dist > maxDist) {
+                maxDist = dist;
+                maxIdx = i;
+            }
+        }
+
+        if (maxDist > tolerance) {
+            keep[maxIdx] = 1;
+            stack.push([from, maxIdx], [maxIdx, to]);
+        }
+    }
+
+    const indices = [];
+    keep.forEach((k, i) => k && indices.push(i));
+    return indices;
+}
+
+/**
+ * Distance from a point to a line segment
+ * @param {[number, number]} p - Point
+ * @param {[number, number]} a - Segment start
+ * @param {[number, number]} b - Segment end
+ * @returns {number} - Distance in pixels
+ */
+function pointSegmentDistance(p, a, b) {
+    const dx = b[0] - a[0], dy = b[1] - a[1];
+    const lenSq = dx * dx + dy * dy;
+    let t = lenSq ? ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lenSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(p[0] - a[0] - t * dx, p[1] - a[1] - t * dy);
+}
+
+/**
+ * Absolute turning angle at vertex b of the path a → b → c
+ * @returns {number} - Angle in radians (0 = straight on, π = full reversal)
+ */
+function turnAngle(a, b, c) {
+    const a1 = Math.atan2(b[1] - a[1], b[0] - a[0]);
+    const a2 = Math.atan2(c[1] - b[1], c[0] - b[0]);
+    let diff = Math.abs(a2 - a1);
+    if (diff > Math.PI) diff = 2 * Math.PI - diff;
+    return diff;
+}
+
+/**
+ * Points from index start to index end (inclusive), wrapping around the loop
+ * @returns {Array<[number, number]>} - The run of points
+ */
+function cyclicSlice(points, start, end) {
+    const run = [];
+    let i = start;
+    do {
+        run.push(points[i]);
+        i = (i + 1) % points.length;
+    } while (i !== end);
+    run.push(points[end]);
+    return run;
+}
+
+/**
+ * Unit vector from a to b
+ */
+function unit(a, b) {
+    const dx = b[0] - a[0], dy = b[1] - a[1];
+    const len = Math.hypot(dx, dy) || 1;
+    return [dx / len, dy / len];
+}
+
+/**
+ * Tangent at one end of a run, averaged over a few points to ignore pixel steps
+ * @param {Array<[number, number]>} run - Run of points
+ * @param {boolean} atEnd - true for the tangent at the last point (pointing back into the run)
+ * @returns {[number, number]} - Unit tangent
+ */
+function runTangent(run, atEnd) {
+    const reach = Math.min(run.length - 1, 3);
+    return atEnd
+        ? unit(run[run.length - 1], run[run.length - 1 - reach])
+        : unit(run[0], run[reach]);
+}
+
+/**
+ * Tangent through a point of a smooth loop, pointing forward (dir 1) or backward (-1)
+ * @returns {[number, number]} - Unit tangent
+ */
+function centerTangent(points, idx, dir) {
+    const n = points.length;
+    const reach = Math.min(3, Math.floor(n / 4));
+    const prev = points[(idx - reach + n) % n];
+    const next = points[(idx + reach) % n];
+    return dir > 0 ? unit(prev, next) : unit(next, prev);
+}
+
+/**
+ * Whether a cubic Bézier is (nearly) a straight line
+ * @param {Array<[number, number]>} bez - Control points [p0, c1, c2, p3]
+ * @param {number} tolerance - Allowed deviation in pixels
+ * @returns {boolean}
+ */
+function isStraight(bez, tolerance) {
+    return pointSegmentDistance(bez[1], bez[0], bez[3]) <= tolerance / 4 &&
+        pointSegmentDistance(bez[2], bez[0], bez[3]) <= tolerance / 4;
+}
+
+/**
+ * Fit a sequence of points with cubic Béziers (Schneider's algorithm)
+ * Splits recursively at the point of worst error until every piece is within tolerance
+ * @param {Array<[number, number]>} points - Points to fit (first/last are kept exactly)
+ * @param {[number, number]} leftTangent - Unit tangent at the first point
+ * @param {[number, number]} rightTangent - Unit tangent at the last point (pointing back)
+ * @param {number} errorSq - Maximum squared distance allowed
+ * @returns {Array<Array<[number, number]>>} - Bézier segments [p0, c1, c2, p3]
+ */
+function fitCubic(points, leftTangent, rightTangent, errorSq) {
+    const first = points[0], last = points[points.length - 1];
+
+    // Two points: straight line with handles one third along
+    if (points.length === 2) {
+        const dist = Math.hypot(last[0] - first[0], last[1] - first[1]) / 3;
+        return [[
+            first,
+            [first[0] + leftTangent[0] * dist, first[1] + leftTangent[1] * dist],
+            [last[0] + rightTangent[0] * dist, last[1] + rightTangent[1] * dist],
+            last
+        ]];
+    }
+
+    let u = chordLengthParams(points);
+    let bez = generateBezier(points, u, leftTangent, rightTangent);
+    let { maxError, splitIdx } = computeMaxError(points, bez, u);
+    if (maxError < errorSq) return [bez];
+
+    // Close enough: try improving the parameterization first
+    if (maxError < errorSq * 4) {
+        for (let iter = 0; iter < 4; iter++) {
+            u = u.map((t, i) => newtonRaphson(bez, points[i], t));
+            bez = generateBezier(points, u, leftTangent, rightTangent);
+            ({ maxError, splitIdx } = computeMaxError(points, bez, u));
+            if (maxError < errorSq) return [bez];
+        }
+    }
+
+    // Split at the worst point and fit both halves
+    splitIdx = Math.max(1, Math.min(points.length - 2, splitIdx));
+    const center = unit(points[splitIdx + 1], points[splitIdx - 1]);
+    return [
+        ...fitCubic(points.slice(0, splitIdx + 1), leftTangent, center, errorSq),
+        ...fitCubic(points.slice(splitIdx), [-center[0], -center[1]], rightTangent, errorSq)
+    ];
+}
+
+/**
+ * Parameter values (0-1) proportional to distance along the points
+ */
+function chordLengthParams(points) {
+    const u = [0];
+    for (let i = 1; i < points.length; i++) {
+        u.push(u[i - 1] + Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+    }
+    const total = u[u.length - 1] || 1;
+    return u.map(v => v / total);
+}
+
+/**
+ * Least-squares Bézier with fixed end points and end tangent directions
+ */
+function generateBezier(points, u, leftTangent, rightTangent) {
+    const first = points[0], last = points[points.length - 1];
+    let c00 = 0, c01 = 0, c11 = 0, x0 = 0, x1 = 0;
+
+    u.forEach((t, i) => {
+        const mt = 1 - t;
+        const b0 = mt * mt * mt, b1 = 3 * t * mt * mt, b2 = 3 * t * t * mt, b3 = t * t * t;
+        const a1 = [leftTangent[0] * b1, leftTangent[1] * b1];
+        const a2 = [rightTangent[0] * b2, rightTangent[1] * b2];
+
+        c00 += a1[0] * a1[0] + a1[1] * a1[1];
+        c01 += a1[0] * a2[0] + a1[1] * a2[1];
+        c11 += a2[0] * a2[0] + a2[1] * a2[1];
+
+        const tmp = [
+            points[i][0] - (first[0] * (b0 + b1) + last[0] * (b2 + b3)),
+            points[i][1] - (first[1] * (b0 + b1) + last[1] * (b2 + b3))
+        ];
+        x0 += a1[0] * tmp[0] + a1[1] * tmp[1];
+        x1 += a2[0] * tmp[0] + a2[1] * tmp[1];
+    });
+
+    const det = c00 * c11 - c01 * c01;
+    let alphaL = det ? (x0 * c11 - x1 * c01) / det : 0;
+    let alphaR = det ? (c00 * x1 - c01 * x0) / det : 0;
+
+    // Degenerate handles: fall back to one third of the chord
+    const segLength = Math.hypot(last[0] - first[0], last[1] - first[1]);
+    const epsilon = 1e-6 * segLength;
+    if (alphaL < epsilon || alphaR < epsilon) {
+        alphaL = alphaR = segLength / 3;
+    }
+
+    return [
+        first,
+        [first[0] + leftTangent[0] * alphaL, first[1] + leftTangent[1] * alphaL],
+        [last[0] + rightTangent[0] * alphaR, last[1] + rightTangent[1] * alphaR],
+        last
+    ];
+}
+
+/**
+ * Point on a cubic Bézier at parameter t
+ */
+function bezierPoint(bez, t) {
+    const mt = 1 - t;
+    const b0 = mt * mt * mt, b1 = 3 * t * mt * mt, b2 = 3 * t * t * mt, b3 = t * t * t;
+    return [
+        b0 * bez[0][0] + b1 * bez[1][0] + b2 * bez[2][0] + b3 * bez[3][0],
+        b0 * bez[0][1] + b1 * bez[1][1] + b2 * bez[2][1] + b3 * bez[3][1]
+    ];
+}
+
+/**
+ * Largest squared distance between the points and the curve, and where it occurs
+ */
+function computeMaxError(points, bez, u) {
+    let maxError = 0, splitIdx = Math.floor(points.length / 2);
+    for (let i = 1; i < points.length - 1; i++) {
+        const p = bezierPoint(bez, u[i]);
+        const d = (p[0] - points[i][0]) ** 2 + (p[1] - points[i][1]) ** 2;
+        if (d >= maxError) {
+            maxError = d;
+            splitIdx = i;
+        }
+    }
+    return { maxError, splitIdx };
+}
+
+/**
+ * One Newton–Raphson step towards the curve parameter closest to point p
+ */
+function newtonRaphson(bez, p, t) {
+    const q = bezierPoint(bez, t);
+
+    // First and second derivative control points
+    const d1 = [0, 1, 2].map(i => [3 * (bez[i + 1][0] - bez[i][0]), 3 * (bez[i + 1][1] - bez[i][1])]);
+    const d2 = [0, 1].map(i => [2 * (d1[i + 1][0] - d1[i][0]), 2 * (d1[i + 1][1] - d1[i][1])]);
+    const mt = 1 - t;
+    const q1 = [
+        mt * mt * d1[0][0] + 2 * t * mt * d1[1][0] + t * t * d1[2][0],
+        mt * mt * d1[0][1] + 2 * t * mt * d1[1][1] + t * t * d1[2][1]
+    ];
+    const q2 = [mt * d2[0][0] + t * d2[1][0], mt * d2[0][1] + t * d2[1][1]];
+
+    const numerator = (q[0] - p[0]) * q1[0] + (q[1] - p[1]) * q1[1];
+    const denominator = q1[0] * q1[0] + q1[1] * q1[1] + (q[0] - p[0]) * q2[0] + (q[1] - p[1]) * q2[1];
+    return denominator ? Math.max(0, Math.min(1, t - numerator / denominator)) : t;
+}
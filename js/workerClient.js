@@ -0,0 +1,108 @@
+/**
+ * WORKER CLIENT MODULE
+ *
+ * Promise-based front end for the pixel worker:
+ * - Starts the module worker lazily and matches replies to requests
+ * - Forwards progress messages to a callback
+ * - Cancels running work by terminating the worker (restarted on next use)
+ */
+
+export class WorkerClient {
+    /**
+     * @param {URL|string} url - Module worker script
+     */
+    constructor(url) {
+        this.url = url;
+        this.worker = null;
+        this.pending = new Map();   // Request id → { resolve, reject }
+        this.nextId = 1;
+
+        // Callbacks set by the app
+        this.onProgress = null;     // (message, fraction) while a task runs
+        this.onBusyChange = null;   // (busy) when work starts or everything is done
+    }
+
+    /**
+     * Run a task in the worker
+     * @param {string} task - Task name (see TASKS in pixelWorker.js)
+     * @param {Object} params - Task parameters (structured-cloneable)
+     * @param {Array<Transferable>} transfer - Buffers to move instead of copy
+     * @returns {Promise<*>} - Task result
+     * @throws {DOMException} - AbortError if cancelled
+     */
+    run(task, params, transfer = []) {
+        if (!this.worker) this.start();
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            if (this.pending.size === 1 && this.onBusyChange) this.onBusyChange(true);
+            this.worker.postMessage({ id, task, params }, transfer);
+        });
+    }
+
+    /**
+     * Stop all running and queued tasks
+     */
+    cancel() {
+        if (!this.worker) return;
+        this.worker.terminate();
+        this.worker = null;
+        this.rejectAll(new DOMException('Processing cancelled', 'AbortError'));
+    }
+
+    /**
+     * Whether any task is still running
+     * @returns {boolean}
+     */
+    get busy() {
+        return this.pending.size > 0;
+    }
+
+    /**
+     * Create the worker and hook up its messages
+     */
+    start() {
+        this.worker = new Worker(this.url, { type: 'module' });
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+
+        // Script failed to load or crashed outside a task - nothing pending can finish
+        this.worker.onerror = (e) => {
+            e.preventDefault();
+            this.worker.terminate();
+            this.worker = null;
+            this.rejectAll(new Error(e.message || 'Image worker failed'));
+        };
+    }
+
+    /**
+     * Dispatch a message from the worker to its request
+     * @param {Object} msg - Worker message
+     */
+    handleMessage({ id, type, result, message, fraction }) {
+        const request = this.pending.get(id);
+        if (!request) return; // Cancelled in the meantime
+
+        if (type === 'progress') {
+            if (this.onProgress) this.onProgress(message, fraction);
+            return;
+        }
+
+        this.pending.delete(id);
+        if (type === 'result') request.resolve(result);
+        else request.reject(new Error(message));
+
+        if (this.pending.size === 0 && this.onBusyChange) this.onBusyChange(false);
+    }
+
+    /**
+     * Fail every pending request
+     * @param {Error} error - Rejection reason
+     */
+    rejectAll(error) {
+        const requests = [...this.pending.values()];
+        this.pending.clear();
+        requests.forEach(request => request.reject(error));
+        if (requests.length && this.onBusyChange) this.onBusyChange(false);
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * ZIP WRITER MODULE
+ *
+ * Builds ZIP archives in the browser without any library:
+ * - Stores files uncompressed (images are already compressed)
+ * - Computes the CRC-32 checksums the format requires
+ * - Produces a Blob ready for download
+ */
+
+// CRC-32 lookup table (IEEE polynomial), built once on first use
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum of some bytes
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack a date into MS-DOS time and date fields
+ * @param {Date} date - Timestamp to encode
+ * @returns {{time: number, date: number}} - DOS time and date words
+ */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Create a ZIP archive from a list of files
+ * @param {Array<{name: string, data: Uint8Array|string}>} files - Files to store;
+ *        string contents are encoded as UTF-8
+ * @returns {Blob} - ZIP archive
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const { time, date } = dosDateTime(new Date());
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+
+        // Local file header
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);   // Signature
+        local.setUint16(4, 20, true);           // Version needed (2.0)
+        local.setUint16(6, 0x0800, true);       // Flags: UTF-8 file names
+        local.setUint16(8, 0, true);            // Method: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // Compressed size
+        local.setUint32(22, data.length, true); // Uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);           // Extra field length
+        parts.push(new Uint8Array(local.buffer), name, data);
+
+        // Matching central directory entry
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true);   // Signature
+        entry.setUint16(4, 20, true);           // Version made by
+        entry.setUint16(6, 20, true);           // Version needed
+        entry.setUint16(8, 0x0800, true);       // Flags: UTF-8 file names
+        entry.setUint16(10, 0, true);           // Method: stored
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, date, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);      // Offset of the local header
+        central.push(new Uint8Array(entry.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    // End of central directory record
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);         // Signature
+    end.setUint16(8, files.length, true);       // Entries on this disk
+    end.setUint16(10, files.length, true);      // Total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);            // Central directory offset
+
+    return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}